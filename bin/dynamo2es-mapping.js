@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const inferMapping = require('../lib/infer-mapping');
+
+const USAGE = `Usage: dynamo2es-mapping --file <path> [options]
+
+Infers Elasticsearch mapping from DynamoDB type descriptors of the sample records or items.
+
+Options:
+  --file <path>     JSON file with DynamoDB Stream event, Scan/Query output or array of
+                    stream records or items
+  --config <path>   module that exports handler options (or a function that resolves them);
+                    their "conversion", "pickFields", "fieldMappings" and
+                    "transformRecordHook" are applied to the samples
+  --target <name>   name (or index) of the target to take options from, if handler options
+                    have "targets"
+  --help            print this message
+`;
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+
+    if (name === 'help') {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+function parseSamples(content) {
+  const data = JSON.parse(content);
+
+  if (data.Records) {
+    return { records: data.Records };
+  }
+  if (data.Items) {
+    return { items: data.Items };
+  }
+
+  return Array.isArray(data) && data.length !== 0 && data[0].dynamodb
+    ? { records: data }
+    : { items: data };
+}
+
+async function loadOptions(args) {
+  if (!args.config) {
+    return {};
+  }
+
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const config = require(path.resolve(args.config));
+  const handlerOptions = typeof config === 'function' ? await config() : config;
+
+  if (!handlerOptions.targets) {
+    return handlerOptions;
+  }
+
+  const targets = handlerOptions.targets.filter(target => {
+    return !args.target || args.target === target.name || args.target === target.index;
+  });
+  if (targets.length !== 1) {
+    throw new Error('--target has to match exactly one of the handler targets');
+  }
+
+  // Conversion policies are set for the whole handler
+  return { ...targets[0], conversion: handlerOptions.conversion };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.file) {
+    process.stdout.write(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const options = await loadOptions(args);
+
+  const mapping = await inferMapping({
+    ...parseSamples(fs.readFileSync(args.file, 'utf8')),
+    pickFields: options.pickFields,
+    fieldMappings: options.fieldMappings,
+    transformRecordHook: options.transformRecordHook,
+    conversion: options.conversion
+  });
+
+  process.stdout.write(`${JSON.stringify(mapping, null, 2)}\n`);
+}
+
+main().catch(err => {
+  process.stderr.write(`${err.stack}\n`);
+  process.exitCode = 1;
+});
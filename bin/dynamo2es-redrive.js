@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const path = require('path');
+
+const { FileSink } = require('../lib/dead-letter');
+const redrive = require('../lib/redrive');
+
+const USAGE = `Usage: dynamo2es-redrive --config <path> --file <path> [options]
+
+Replays dead-lettered records through the handler created with the given options.
+
+Options:
+  --config <path>       module that exports handler options (or a function that resolves them)
+  --file <path>         JSON Lines file written by FileSink
+  --error-name <name>   replay only entries with the given error name (can be repeated)
+  --reason <reason>     replay only entries with the given bulk error type or reason (can be repeated)
+  --from <time>         replay only entries dead-lettered at or after the given ISO 8601 time
+  --to <time>           replay only entries dead-lettered at or before the given ISO 8601 time
+  --dry-run             print bulk actions instead of sending them
+  --help                print this message
+`;
+
+const MULTIPLE = ['errorName', 'reason'];
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+
+    if (name === 'dryRun' || name === 'help') {
+      args[name] = true;
+    } else if (MULTIPLE.includes(name)) {
+      args[name] = (args[name] || []).concat(argv[++i]);
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || !args.config || !args.file) {
+    process.stdout.write(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const config = require(path.resolve(args.config));
+  const handlerOptions = typeof config === 'function' ? await config() : config;
+
+  const { entries, actions, result } = await redrive({
+    handler: handlerOptions,
+    source: new FileSink({ path: args.file }),
+    filter: {
+      errorName: args.errorName,
+      reason: args.reason,
+      from: args.from,
+      to: args.to
+    },
+    dryRun: !!args.dryRun
+  });
+
+  process.stderr.write(`${entries.length} entries matched\n`);
+
+  if (args.dryRun) {
+    actions.forEach(action => process.stdout.write(`${JSON.stringify(action)}\n`));
+  } else {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  }
+}
+
+main().catch(err => {
+  process.stderr.write(`${err.stack}\n`);
+  process.exitCode = 1;
+});
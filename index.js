@@ -1,5 +1,14 @@
+const deadLetter = require('./lib/dead-letter');
 const errors = require('./lib/errors');
 const handler = require('./lib/handler');
+const inferMapping = require('./lib/infer-mapping');
+const redrive = require('./lib/redrive');
 
 module.exports = handler;
+module.exports.deadLetter = {
+  FileSink: deadLetter.FileSink,
+  SqsSink: deadLetter.SqsSink
+};
 module.exports.errors = errors;
+module.exports.inferMapping = inferMapping;
+module.exports.redrive = redrive;
@@ -0,0 +1,347 @@
+const cloneDeep = require('lodash/cloneDeep');
+const isUndefined = require('lodash/isUndefined');
+const omitBy = require('lodash/omitBy');
+const pick = require('lodash/pick');
+
+const collection = require('./collection');
+const entities = require('./entities');
+const errors = require('./errors');
+const fieldMappings = require('./field-mappings');
+const indexDate = require('./index-date');
+const schemas = require('./schemas');
+const update = require('./update');
+const utils = require('./utils');
+
+const DEFAULT_TOMBSTONE = {
+  fields: { deleted: true },
+  timestampField: 'deletedAt'
+};
+
+const DEFAULT_TTL_TOMBSTONE = {
+  fields: { expired: true },
+  timestampField: 'expiredAt'
+};
+
+const DATA_STREAM_TIMESTAMP = '@timestamp';
+
+const DEFAULT_JOIN_FIELD = 'join_field';
+
+// Versions built from sequence numbers are creation seconds followed by this many trailing
+// digits of the sequence number, so that they fit into a signed long until year 2262
+const SEQUENCE_VERSION_DIGITS = 9;
+
+function resolveStrategyVersion(record, strategy) {
+  const { ApproximateCreationDateTime, SequenceNumber } = record.dynamodb;
+  utils.validate(
+    ApproximateCreationDateTime,
+    schemas.VERSION.required().label('ApproximateCreationDateTime')
+  );
+
+  if (strategy === 'sequenceNumber') {
+    utils.validate(SequenceNumber, schemas.SEQUENCE_NUMBER.required().label('SequenceNumber'));
+
+    // Full sequence number does not fit into a signed long, so creation time keeps the order
+    // across prefix rollovers and trailing digits keep it for changes made within a second.
+    // Version is sent as a string, since it does not fit into a safe integer.
+    const seconds = Math.floor(ApproximateCreationDateTime);
+    const digits = SequenceNumber
+      .slice(-SEQUENCE_VERSION_DIGITS)
+      .padStart(SEQUENCE_VERSION_DIGITS, '0');
+    return `${seconds}${digits}`.replace(/^0+(?=\d)/, '');
+  }
+
+  return Math.round(ApproximateCreationDateTime * 1000);
+}
+
+function resolvePipeline(doc, parsedRecord, target) {
+  let pipeline = target.pipeline;
+  if (target.pipelineResolver) {
+    pipeline = target.pipelineResolver(doc, parsedRecord.OldImage);
+  } else if (target.pipelineField) {
+    pipeline = utils.getField(parsedRecord, target.pipelineField);
+  }
+
+  // Records resolved to no pipeline are indexed as is
+  if (pipeline !== undefined && pipeline !== null) {
+    utils.validate(pipeline, schemas.PIPELINE.label(target.pipelineField || 'resolved pipeline'));
+  }
+
+  return pipeline;
+}
+
+module.exports = {
+  /**
+   * Formats fields that mark document as removed.
+   *
+   * @param {Object} record - stream record
+   * @param {Object} [options] - tombstone fields and timestamp field name
+   * @param {Object} [defaults] - tombstone used when options are omitted
+   * @returns {Object} - tombstone fields
+   */
+  formatTombstone(record, options, defaults = DEFAULT_TOMBSTONE) {
+    const { fields, timestampField } = { ...defaults, ...options };
+    const { ApproximateCreationDateTime } = record.dynamodb;
+    const time = ApproximateCreationDateTime !== undefined
+      ? new Date(ApproximateCreationDateTime * 1000)
+      : new Date();
+
+    return timestampField
+      ? { ...fields, [timestampField]: time.toISOString() }
+      : { ...fields };
+  },
+
+  /**
+   * Builds bulk action for a single record and target.
+   *
+   * @param {Object} record - stream record
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object} target - target options (index, id, version, etc.)
+   * @param {Object} options - handler options
+   * @returns {Promise<Object>} - resolved index and list of action entries (body and meta);
+   *                              list is empty if record is omitted by transform hook
+   */
+  async build(record, parsedRecord, target, options) {
+    const { separator = '.' } = options;
+    const { dataStream, indexPrefix = '' } = target;
+
+    // TTL expirations follow their own policy if it is set, user removals otherwise
+    const isTtlRemove = Boolean(target.ttlRemove) && utils.isTtlExpiration(record);
+    let removeMode = isTtlRemove ? target.ttlRemove : target.removeMode;
+    if (dataStream) {
+      // Data streams are append-only, so documents can't be deleted by id
+      removeMode = dataStream.removePolicy === 'tombstone' ? 'soft' : 'keep';
+    }
+    const isSoftRemove = record.eventName === 'REMOVE' && removeMode === 'soft';
+
+    // Children of a collection are folded into the parent document instead of being indexed
+    const isChild = Boolean(target.collection)
+      && entities.matches(parsedRecord, target.collection.match);
+    const childId = isChild
+      ? utils.getField(parsedRecord, target.collection.childIdField)
+      : undefined;
+
+    // Document made of tombstone fields alone would replace the last known state of the document
+    if (isSoftRemove && !isChild && !options.updateMode && !record.dynamodb.OldImage) {
+      throw new errors.MissingOldImageError(record);
+    }
+
+    // Soft removal keeps the last known state of the document
+    const image = isSoftRemove ? parsedRecord.OldImage : parsedRecord.NewImage;
+    let doc = target.pickFields
+      ? pick(image, target.pickFields)
+      : image;
+
+    const idResolver = target.idResolver || (() => {
+      return target.idField
+        ? utils.assembleField(parsedRecord, target.idField, separator)
+        : utils.assembleField(parsedRecord, Object.keys(parsedRecord.Keys), separator);
+    });
+
+    const id = idResolver(doc, parsedRecord.OldImage);
+
+    const actionDescriptionObj = {
+      _index: target.index
+        || `${indexPrefix}${utils.assembleField(parsedRecord, target.indexField, separator)}`,
+      _type: target.type
+        || (
+          target.typeField
+          && utils.assembleField(parsedRecord, target.typeField, separator)
+        ),
+      _id: id
+    };
+
+    if (target.indexDate) {
+      actionDescriptionObj._index += indexDate.resolve(record, parsedRecord, target.indexDate);
+    }
+
+    if (dataStream) {
+      // Every change is a document of its own, while resending the same record must not
+      // duplicate it
+      const { SequenceNumber } = record.dynamodb;
+      if (SequenceNumber) {
+        actionDescriptionObj._id = `${id}${separator}${SequenceNumber}`;
+      } else {
+        delete actionDescriptionObj._id;
+      }
+    }
+
+    // Omit blank _type
+    if (!actionDescriptionObj._type) {
+      delete actionDescriptionObj._type;
+    }
+
+    if (target.parentField) {
+      actionDescriptionObj.parent = utils.getField(parsedRecord, target.parentField);
+    }
+
+    const joinParent = target.join && target.join.parentField
+      ? utils.assembleField(parsedRecord, target.join.parentField, separator)
+      : undefined;
+
+    if (target.routingResolver || target.routingField) {
+      const routing = target.routingResolver
+        ? target.routingResolver(doc, parsedRecord.OldImage)
+        : utils.assembleField(parsedRecord, target.routingField, separator);
+      utils.validate(routing, schemas.ROUTING.label('resolved routing'));
+      actionDescriptionObj.routing = String(routing);
+    } else if (joinParent !== undefined) {
+      // Children have to be stored in the same shard as their parent
+      actionDescriptionObj.routing = String(joinParent);
+    }
+
+    if (target.versionStrategy) {
+      actionDescriptionObj.version = resolveStrategyVersion(record, target.versionStrategy);
+      // Creation time has second precision, so changes made within a second share the version
+      actionDescriptionObj.versionType = target.versionType
+        || (target.versionStrategy === 'creationTime' ? 'external_gte' : 'external');
+    } else if (target.versionResolver || target.versionField) {
+      const version = target.versionResolver
+        ? target.versionResolver(doc, parsedRecord.OldImage)
+        : utils.getField(parsedRecord, target.versionField);
+      utils.validate(version, schemas.VERSION.label(target.versionField || 'resolved version'));
+      actionDescriptionObj.version = version;
+      actionDescriptionObj.versionType = target.versionType || 'external';
+    }
+
+    if (record.eventName === 'REMOVE' && removeMode === 'keep') {
+      return {
+        index: actionDescriptionObj._index,
+        entries: []
+      };
+    }
+
+    // Only documents that are sent are shaped
+    const isShaped = Boolean(target.fieldMappings)
+      && (record.eventName !== 'REMOVE' || isSoftRemove);
+    if (isShaped) {
+      doc = fieldMappings.apply(doc, parsedRecord.Keys, target.fieldMappings);
+    }
+
+    // Partial documents are built by comparing images as they are before the hook, which may
+    // change the document in place
+    const shapedDoc = options.updateMode === 'changed' ? cloneDeep(doc) : doc;
+    if (target.transformRecordHook) {
+      doc = await target.transformRecordHook(doc, parsedRecord.OldImage);
+    }
+
+    const result = {
+      index: actionDescriptionObj._index,
+      entries: []
+    };
+
+    if (!doc) {
+      return result;
+    }
+
+    if (target.join) {
+      const { field = DEFAULT_JOIN_FIELD, name } = target.join;
+      doc = {
+        ...doc,
+        [field]: joinParent !== undefined ? { name, parent: String(joinParent) } : { name }
+      };
+    }
+
+    if (dataStream) {
+      const time = utils.resolveTime(
+        record,
+        parsedRecord,
+        dataStream.timestampField,
+        dataStream.timestampFormat
+      );
+      doc = { ...doc, [DATA_STREAM_TIMESTAMP]: new Date(time).toISOString() };
+    }
+
+    // Data streams accept only "create" operations
+    const writeOp = dataStream ? 'create' : 'index';
+    const collectionAction = target.collection && {
+      update: omitBy({
+        ...actionDescriptionObj,
+        retry_on_conflict: target.collection.retryOnConflict
+      }, isUndefined)
+    };
+
+    let action;
+    let body;
+    switch (record.eventName) {
+      case 'INSERT':
+      case 'MODIFY':
+        if (isChild) {
+          // Child id is kept in the document, since children are matched by it
+          doc = { ...doc, [target.collection.childIdField]: childId };
+          action = collectionAction;
+          body = [action, collection.formatChild(doc, childId, target.collection)];
+        } else if (target.collection) {
+          action = collectionAction;
+          body = [action, collection.formatParent(doc, target.collection)];
+        } else if (options.updateMode) {
+          let oldDoc = target.pickFields
+            ? pick(parsedRecord.OldImage, target.pickFields)
+            : parsedRecord.OldImage;
+          if (isShaped) {
+            oldDoc = fieldMappings.apply(oldDoc, parsedRecord.Keys, target.fieldMappings);
+          }
+
+          action = { update: actionDescriptionObj };
+          body = [action, update.formatBody(doc, shapedDoc, oldDoc, {
+            mode: options.updateMode,
+            removedFields: options.removedFields
+          })];
+        } else {
+          action = { [writeOp]: actionDescriptionObj };
+          body = [action, doc];
+        }
+        break;
+
+      case 'REMOVE':
+        // Stream metadata of the removal itself is newer already
+        if (!target.versionStrategy && typeof actionDescriptionObj.version !== 'undefined') {
+          actionDescriptionObj.version++;
+        }
+
+        if (isChild) {
+          action = collectionAction;
+          body = [action, collection.formatChildRemoval(childId, target.collection)];
+        } else if (isSoftRemove) {
+          const tombstone = isTtlRemove
+            ? this.formatTombstone(record, target.ttlTombstone, DEFAULT_TTL_TOMBSTONE)
+            : this.formatTombstone(record, (dataStream || target).tombstone);
+          doc = { ...doc, ...tombstone };
+
+          if (options.updateMode) {
+            action = { update: actionDescriptionObj };
+            body = [action, { doc: tombstone, upsert: doc }];
+          } else {
+            action = { [writeOp]: actionDescriptionObj };
+            body = [action, doc];
+          }
+        } else {
+          action = { delete: actionDescriptionObj };
+          body = [action];
+        }
+        break;
+
+      default:
+        throw new errors.UnknownEventNameError(record);
+    }
+
+    // Deletes and updates can't carry ingest pipeline
+    const writeDescription = action.index || action.create;
+    if (writeDescription) {
+      const pipeline = resolvePipeline(doc, parsedRecord, target);
+      if (pipeline !== undefined && pipeline !== null) {
+        writeDescription.pipeline = pipeline;
+      }
+    }
+
+    result.entries.push({
+      body,
+      meta: {
+        action,
+        document: doc,
+        ...(isChild ? { childId } : {})
+      }
+    });
+
+    return result;
+  }
+};
@@ -0,0 +1,77 @@
+const get = require('lodash/get');
+const isUndefined = require('lodash/isUndefined');
+const omitBy = require('lodash/omitBy');
+
+const errors = require('./errors');
+
+const ALREADY_EXISTS_ERROR_TYPE = 'resource_already_exists_exception';
+
+function getErrorType(err) {
+  // @elastic/elasticsearch keeps response body in meta, while legacy client sets it directly
+  return get(err, 'meta.body.error.type') || get(err, 'body.error.type');
+}
+
+module.exports = {
+  /**
+   * Puts index templates, so that indices created later get proper settings and mappings.
+   *
+   * @param {Object} client - Elasticsearch client
+   * @param {Object[]} templates - templates (name, body and legacy flag)
+   * @returns {Promise}
+   */
+  async putTemplates(client, templates) {
+    // Templates are put sequentially, since later ones may rely on the earlier ones
+    await templates.reduce(async (acc, template) => {
+      await acc;
+
+      const method = template.legacy ? 'putTemplate' : 'putIndexTemplate';
+      try {
+        await client.indices[method]({ name: template.name, body: template.body });
+      } catch (err) {
+        throw new errors.IndexBootstrapError(template.name, err);
+      }
+    }, Promise.resolve());
+  },
+
+  /**
+   * Creates index with target's settings and mappings unless it exists already.
+   *
+   * @param {Object} client - Elasticsearch client
+   * @param {String} index - index name
+   * @param {Object} target - target options (mappings and index settings)
+   * @returns {Promise}
+   */
+  async createIndex(client, index, target) {
+    const body = omitBy({
+      settings: target.indexSettings,
+      mappings: target.mappings
+    }, isUndefined);
+
+    try {
+      await client.indices.create({ index, body });
+    } catch (err) {
+      if (getErrorType(err) !== ALREADY_EXISTS_ERROR_TYPE) {
+        throw new errors.IndexBootstrapError(index, err);
+      }
+    }
+  },
+
+  /**
+   * Creates indices that were not ensured before.
+   *
+   * @param {Object} client - Elasticsearch client
+   * @param {Object[]} indices - index names along with targets they are resolved for
+   * @param {Set} ensured - names of indices that were ensured already; updated in place
+   * @returns {Promise}
+   */
+  async ensureIndices(client, indices, ensured) {
+    await indices.reduce(async (acc, { index, target }) => {
+      await acc;
+
+      if (!ensured.has(index)) {
+        await this.createIndex(client, index, target);
+        ensured.add(index);
+      }
+    }, Promise.resolve());
+  }
+};
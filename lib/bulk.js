@@ -0,0 +1,212 @@
+const flatten = require('lodash/flatten');
+const promiseRetry = require('promise-retry');
+
+const RETRYABLE_STATUSES = [429, 503];
+const RETRYABLE_ERROR_TYPES = ['es_rejected_execution_exception'];
+
+// Used to tell promise-retry that some items still have to be resent. It never
+// leaves this module: once retries are exhausted, such items are reported as failed.
+const RETRYABLE_ITEMS_ERROR = new Error('Some bulk items failed with retryable errors');
+
+function isWrapped(response) {
+  // @elastic/elasticsearch wraps response body, while legacy client returns it as is
+  return !!(response && response.body && typeof response.body === 'object');
+}
+
+function getBody(response) {
+  return isWrapped(response) ? response.body : response;
+}
+
+function getItemResult(item) {
+  return item[Object.keys(item)[0]];
+}
+
+function isFailed(item) {
+  return !!getItemResult(item).error;
+}
+
+function isVersionConflict(item) {
+  const result = getItemResult(item);
+  return !!result.error && result.status === 409;
+}
+
+function isRetryable(item) {
+  const result = getItemResult(item);
+  if (!result.error) {
+    return false;
+  }
+
+  return RETRYABLE_STATUSES.includes(result.status)
+    || RETRYABLE_ERROR_TYPES.includes(result.error.type);
+}
+
+function mergeResponse(response, items, took) {
+  const body = {
+    ...getBody(response),
+    took,
+    errors: items.some(isFailed),
+    items
+  };
+
+  return isWrapped(response)
+    ? { ...response, body }
+    : body;
+}
+
+function getActionSize(action) {
+  // Bulk body is sent as newline delimited JSON
+  return action.reduce((acc, line) => acc + Buffer.byteLength(JSON.stringify(line)) + 1, 0);
+}
+
+function splitActions(actions, maxBytes, maxActions) {
+  const chunks = [];
+  let chunk = [];
+  let chunkSize = 0;
+
+  actions.forEach(action => {
+    const actionSize = getActionSize(action);
+    const isFull = (maxActions && chunk.length >= maxActions)
+      || (maxBytes && chunkSize + actionSize > maxBytes);
+
+    if (chunk.length && isFull) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkSize = 0;
+    }
+
+    chunk.push(action);
+    chunkSize += actionSize;
+  });
+
+  if (chunk.length) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
+
+function mapConcurrently(values, concurrency, fn) {
+  const results = [];
+  let next = 0;
+  let failed = false;
+
+  const worker = () => {
+    if (failed || next >= values.length) {
+      return Promise.resolve();
+    }
+
+    const index = next++;
+    return fn(values[index])
+      .then(result => {
+        results[index] = result;
+        return worker();
+      })
+      .catch(err => {
+        failed = true;
+        throw err;
+      });
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, values.length) }, worker);
+  return Promise.all(workers).then(() => results);
+}
+
+function sendChunk(client, params, actions, retryOptions) {
+  const items = [];
+  const attempts = [];
+  let pending = actions.map((action, index) => index);
+  let firstResponse;
+  let took = 0;
+
+  return promiseRetry((retry, attempt) => {
+    return client
+      .bulk({
+        ...params,
+        body: flatten(pending.map(index => actions[index]))
+      })
+      .catch(retry)
+      .then(response => {
+        firstResponse = firstResponse || response;
+
+        const body = getBody(response);
+        if (!body || !Array.isArray(body.items)) {
+          return;
+        }
+
+        took += body.took || 0;
+        pending = pending.filter((index, position) => {
+          items[index] = body.items[position];
+          attempts[index] = attempt;
+          return isRetryable(items[index]);
+        });
+
+        if (pending.length) {
+          retry(RETRYABLE_ITEMS_ERROR);
+        }
+      });
+  }, retryOptions)
+    .catch(err => {
+      if (err !== RETRYABLE_ITEMS_ERROR) {
+        throw err;
+      }
+    })
+    .then(() => {
+      return {
+        result: firstResponse,
+        retried: attempts.some(attempt => attempt > 1),
+        items,
+        attempts,
+        took
+      };
+    });
+}
+
+module.exports = {
+  getBody,
+  isFailed,
+  isRetryable,
+  isVersionConflict,
+
+  /**
+   * Sends actions using bulk API. Actions are split into chunks by size and count (if limits
+   * are set) and chunks are sent concurrently. Actions that failed with retryable errors are
+   * resent according to retry options, as well as the whole chunk in case it is rejected.
+   *
+   * @param {Object} client - Elasticsearch client
+   * @param {Object} params - additional bulk API parameters
+   * @param {Array[]} actions - list of actions, each action is a list of body lines
+   * @param {Object} options - retry options, chunk limits and concurrency
+   * @returns {Promise<Object>} - bulk response with items in the order of actions and
+   *                              number of attempts made for each action
+   */
+  send(client, params, actions, options) {
+    const {
+      retryOptions,
+      maxBytes,
+      maxActions,
+      concurrency = 1
+    } = options;
+    const chunks = splitActions(actions, maxBytes, maxActions);
+
+    return mapConcurrently(chunks, concurrency, chunk => {
+      return sendChunk(client, params, chunk, retryOptions);
+    })
+      .then(responses => {
+        const items = flatten(responses.map(response => response.items));
+        const attempts = flatten(responses.map(response => response.attempts));
+        const isMerged = responses.length > 1 || responses[0].retried;
+
+        return {
+          result: isMerged && items.length
+            ? mergeResponse(
+              responses[0].result,
+              items,
+              responses.reduce((acc, response) => acc + response.took, 0)
+            )
+            : responses[0].result,
+          items,
+          attempts
+        };
+      });
+  }
+};
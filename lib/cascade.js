@@ -0,0 +1,67 @@
+const bulk = require('./bulk');
+const entities = require('./entities');
+const errors = require('./errors');
+const utils = require('./utils');
+
+module.exports = {
+  /**
+   * Builds "delete_by_query" requests for documents that depend on the removed record.
+   *
+   * @param {Object} record - stream record
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object[]} cascades - cascade rules (match, index, terms and conflicts)
+   * @returns {Object[]} - "delete_by_query" request params; empty unless record is removed
+   */
+  build(record, parsedRecord, cascades) {
+    if (record.eventName !== 'REMOVE') {
+      return [];
+    }
+
+    return cascades
+      .filter(rule => !rule.match || entities.matches(parsedRecord, rule.match))
+      .map(rule => ({
+        index: [].concat(rule.index).join(','),
+        // Dependent documents may change concurrently, which must not stop the removal
+        conflicts: rule.conflicts || 'proceed',
+        body: {
+          query: {
+            bool: {
+              filter: Object.keys(rule.terms).map(field => ({
+                term: { [field]: utils.getField(parsedRecord, rule.terms[field]) }
+              }))
+            }
+          }
+        }
+      }));
+  },
+
+  /**
+   * Sends "delete_by_query" requests one by one. Failed requests do not stop the rest.
+   *
+   * @param {Object} client - Elasticsearch client
+   * @param {Object[]} requests - request params
+   * @returns {Promise<Object[]>} - either response or CascadeError for every request
+   */
+  send(client, requests) {
+    return requests.reduce(async (acc, params) => {
+      const results = await acc;
+
+      try {
+        const response = await client.deleteByQuery(params);
+        const { failures = [] } = bulk.getBody(response) || {};
+        if (failures.length !== 0) {
+          throw Object.assign(
+            new Error(`${failures.length} documents failed to be deleted`),
+            { failures }
+          );
+        }
+
+        results.push({ response });
+      } catch (err) {
+        results.push({ error: new errors.CascadeError(params, err) });
+      }
+
+      return results;
+    }, Promise.resolve([]));
+  }
+};
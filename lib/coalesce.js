@@ -0,0 +1,72 @@
+const utils = require('./utils');
+
+function getKey(action) {
+  const description = action[0][Object.keys(action[0])[0]];
+  return JSON.stringify([description._index, description._type, description._id]);
+}
+
+function compareEntries(a, b) {
+  const aSequenceNumber = a.record.dynamodb.SequenceNumber;
+  const bSequenceNumber = b.record.dynamodb.SequenceNumber;
+
+  return aSequenceNumber && bSequenceNumber
+    ? utils.compareSequenceNumbers(aSequenceNumber, bSequenceNumber)
+    : a.position - b.position;
+}
+
+/**
+ * Leaves a single action per document: the one built from the latest record. Records that
+ * were folded into it are listed in "coalesced" field of the corresponding meta entry.
+ * Actions produced by script resolver, the ones of collection children and data stream
+ * actions are left as is.
+ *
+ * @param {Object} parsedEvent - parsed event with actions, meta and records
+ * @returns {Object} - parsed event with coalesced actions, meta and records
+ */
+module.exports = function(parsedEvent) {
+  const groups = new Map();
+
+  parsedEvent.actions.forEach((action, position) => {
+    // Scripted updates are not idempotent, so every one of them has to be sent. The same
+    // goes for collection children, since all of them share the id of the parent document,
+    // and for data stream documents, since every change is appended.
+    const { script, childId } = parsedEvent.meta[position];
+    const isAppended = Boolean(action[0].create);
+    const key = script || childId !== undefined || isAppended ? position : getKey(action);
+    const entry = {
+      action,
+      meta: parsedEvent.meta[position],
+      record: parsedEvent.records[position],
+      position
+    };
+
+    if (groups.has(key)) {
+      groups.get(key).push(entry);
+    } else {
+      groups.set(key, [entry]);
+    }
+  });
+
+  const entries = Array.from(groups.values())
+    .map(group => {
+      const sorted = group.sort(compareEntries);
+      const latest = sorted.pop();
+
+      if (sorted.length) {
+        latest.meta = {
+          ...latest.meta,
+          coalesced: sorted.map(entry => entry.meta.event)
+        };
+      }
+
+      return latest;
+    })
+    .sort((a, b) => a.position - b.position);
+
+  return {
+    ...parsedEvent,
+    actions: entries.map(entry => entry.action),
+    meta: entries.map(entry => entry.meta),
+    records: entries.map(entry => entry.record)
+  };
+};
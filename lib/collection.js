@@ -0,0 +1,77 @@
+// Replaces parent fields while keeping children collected so far
+const PARENT_SCRIPT = [
+  'def children = ctx._source[params.field];',
+  'ctx._source.clear();',
+  'ctx._source.putAll(params.doc);',
+  'if (children != null) { ctx._source[params.field] = children; }'
+].join(' ');
+
+const UPSERT_CHILD_SCRIPT = [
+  'if (ctx._source[params.field] == null) { ctx._source[params.field] = []; }',
+  'ctx._source[params.field].removeIf(item -> item[params.idField] == params.id);',
+  'ctx._source[params.field].add(params.child);'
+].join(' ');
+
+// Parent document is not created just to remove a child from it
+const REMOVE_CHILD_SCRIPT = [
+  'if (ctx.op == \'create\') { ctx.op = \'none\'; }',
+  'else if (ctx._source[params.field] != null) {',
+  'ctx._source[params.field].removeIf(item -> item[params.idField] == params.id); }'
+].join(' ');
+
+function formatScript(source, params) {
+  return {
+    script: {
+      source,
+      lang: 'painless',
+      params
+    },
+    upsert: {},
+    scripted_upsert: true
+  };
+}
+
+module.exports = {
+  /**
+   * Formats "update" action body that indexes parent document.
+   *
+   * @param {Object} doc - parent document
+   * @param {Object} collection - collection options
+   * @returns {Object} - "update" action body
+   */
+  formatParent(doc, collection) {
+    return formatScript(PARENT_SCRIPT, { field: collection.field, doc });
+  },
+
+  /**
+   * Formats "update" action body that adds child to parent document or replaces it.
+   *
+   * @param {Object} child - child document
+   * @param {String|Number} id - child id
+   * @param {Object} collection - collection options
+   * @returns {Object} - "update" action body
+   */
+  formatChild(child, id, collection) {
+    return formatScript(UPSERT_CHILD_SCRIPT, {
+      field: collection.field,
+      idField: collection.childIdField,
+      id,
+      child
+    });
+  },
+
+  /**
+   * Formats "update" action body that removes child from parent document.
+   *
+   * @param {String|Number} id - child id
+   * @param {Object} collection - collection options
+   * @returns {Object} - "update" action body
+   */
+  formatChildRemoval(id, collection) {
+    return formatScript(REMOVE_CHILD_SCRIPT, {
+      field: collection.field,
+      idField: collection.childIdField,
+      id
+    });
+  }
+};
@@ -0,0 +1,105 @@
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+
+// Doubles keep up to 15 significant decimal digits without loss
+const MAX_PRECISE_DIGITS = 15;
+
+function isPrecise(value) {
+  if (/^-?\d+$/.test(value)) {
+    return Number.isSafeInteger(Number(value));
+  }
+
+  const digits = value
+    .replace(/^-/, '')
+    .replace(/e.*$/i, '')
+    .replace('.', '')
+    .replace(/^0+/, '')
+    .replace(/0+$/, '');
+
+  return digits.length <= MAX_PRECISE_DIGITS;
+}
+
+function convertNumber(value, policy) {
+  switch (policy) {
+    case 'string':
+      return value;
+    case 'safe':
+      return isPrecise(value) ? Number(value) : value;
+    default:
+      return Number(value);
+  }
+}
+
+function convertBinary(value, policy) {
+  switch (policy) {
+    case 'base64':
+      // Binary values of records delivered to Lambda are base64 encoded strings already
+      return typeof value === 'string' ? value : Buffer.from(value).toString('base64');
+    case 'drop':
+      return undefined;
+    default:
+      return DynamoDB.Converter.output({ B: value });
+  }
+}
+
+function convertAttribute(attribute, options) {
+  const [type] = Object.keys(attribute);
+  const value = attribute[type];
+
+  switch (type) {
+    case 'N':
+      return convertNumber(value, options.numbers);
+    case 'B':
+      return convertBinary(value, options.binary);
+    case 'M':
+      // eslint-disable-next-line no-use-before-define
+      return convertMap(value, options);
+    case 'L':
+      return value
+        .map(entry => convertAttribute(entry, options))
+        .filter(entry => entry !== undefined);
+    case 'SS':
+    case 'NS':
+    case 'BS': {
+      if (options.sets !== 'array') {
+        return DynamoDB.Converter.output(attribute);
+      }
+
+      const itemType = type[0];
+      const items = value
+        .map(entry => convertAttribute({ [itemType]: entry }, options))
+        .filter(entry => entry !== undefined);
+      return items.length !== 0 ? items : undefined;
+    }
+    default:
+      return DynamoDB.Converter.output(attribute);
+  }
+}
+
+function convertMap(map, options) {
+  return Object.keys(map).reduce((acc, key) => {
+    const value = convertAttribute(map[key], options);
+    return value !== undefined ? { ...acc, [key]: value } : acc;
+  }, {});
+}
+
+module.exports = {
+  /**
+   * Unmarshalls keys, new and old images of the stream record.
+   *
+   * @param {Object} streamRecord - "dynamodb" property of the stream record
+   * @param {Object} [options] - conversion policies for sets, binary values and numbers;
+   *                             if omitted, DynamoDB converter defaults are used
+   * @returns {Object} - unmarshalled keys, new and old images
+   */
+  unmarshallRecord(streamRecord, options) {
+    const images = {
+      NewImage: { M: streamRecord.NewImage || {} },
+      OldImage: { M: streamRecord.OldImage || {} },
+      Keys: { M: streamRecord.Keys }
+    };
+
+    return options
+      ? convertMap(images, options)
+      : DynamoDB.Converter.unmarshall(images);
+  }
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+const schemas = require('../schemas');
+const utils = require('../utils');
+
+/**
+ * Appends dead letter entries to a local file, one JSON document per line,
+ * and reads them back for re-drive.
+ */
+class FileSink {
+  constructor(options) {
+    utils.validate(options, schemas.FILE_SINK_OPTIONS);
+    this.path = options.path;
+  }
+
+  send(entries) {
+    const data = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.path, data, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, data) => (err ? reject(err) : resolve(data)));
+    })
+      .then(data => {
+        return data
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => JSON.parse(line));
+      });
+  }
+}
+
+module.exports = FileSink;
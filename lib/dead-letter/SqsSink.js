@@ -0,0 +1,84 @@
+const errors = require('../errors');
+const schemas = require('../schemas');
+const utils = require('../utils');
+
+// SQS does not accept more messages in a single batch
+const MAX_BATCH_SIZE = 10;
+// Neither a single message nor the whole batch can exceed 256 KB
+const MAX_BATCH_BYTES = 256 * 1024;
+
+function formatMessageBody(entry) {
+  const body = JSON.stringify(entry);
+  if (Buffer.byteLength(body) <= MAX_BATCH_BYTES) {
+    return body;
+  }
+
+  // Action can be built from the record again, so it is dropped first
+  const trimmed = JSON.stringify({ ...entry, action: null });
+  return Buffer.byteLength(trimmed) <= MAX_BATCH_BYTES ? trimmed : null;
+}
+
+function formatBatches(bodies) {
+  return bodies.reduce((acc, body) => {
+    const bytes = Buffer.byteLength(body);
+    const batch = acc[acc.length - 1];
+
+    if (!batch || batch.bodies.length === MAX_BATCH_SIZE || batch.bytes + bytes > MAX_BATCH_BYTES) {
+      acc.push({ bodies: [body], bytes });
+    } else {
+      batch.bodies.push(body);
+      batch.bytes += bytes;
+    }
+
+    return acc;
+  }, []);
+}
+
+/**
+ * Sends dead letter entries to SQS queue, one message per entry.
+ */
+class SqsSink {
+  constructor(options) {
+    utils.validate(options, schemas.SQS_SINK_OPTIONS);
+    this.client = options.client;
+    this.queueUrl = options.queueUrl;
+  }
+
+  send(entries) {
+    const bodies = entries.map(formatMessageBody);
+    // Entries that are too large even without action are reported once the rest are sent
+    const rejected = bodies
+      .filter(body => body === null)
+      .map(() => ({
+        Id: null,
+        Code: 'MessageTooLong',
+        Message: `dead letter entry exceeds ${MAX_BATCH_BYTES} bytes`,
+        SenderFault: true
+      }));
+
+    const batches = formatBatches(bodies.filter(body => body !== null));
+    return Promise.all(batches.map(batch => {
+      return this.client
+        .sendMessageBatch({
+          QueueUrl: this.queueUrl,
+          Entries: batch.bodies.map((body, index) => ({
+            Id: String(index),
+            MessageBody: body
+          }))
+        })
+        .promise()
+        .then(result => {
+          if (result.Failed && result.Failed.length) {
+            throw new errors.DeadLetterError(result.Failed);
+          }
+        });
+    }))
+      .then(() => {
+        if (rejected.length) {
+          throw new errors.DeadLetterError(rejected);
+        }
+      });
+  }
+}
+
+module.exports = SqsSink;
@@ -0,0 +1,32 @@
+const FileSink = require('./FileSink');
+const SqsSink = require('./SqsSink');
+
+module.exports = {
+  FileSink,
+  SqsSink,
+
+  /**
+   * Formats dead letter entry for a record that can't be indexed.
+   *
+   * @param {Object} record - original stream record
+   * @param {Array|null} action - bulk action lines, if action was built
+   * @param {Error} error - processing or bulk item error
+   * @param {Number} attempts - number of times action was sent to Elasticsearch
+   * @returns {Object} - dead letter entry
+   */
+  formatEntry(record, action, error, attempts) {
+    return {
+      record,
+      action,
+      error: {
+        name: error.name,
+        message: error.message,
+        status: error.status,
+        type: error.type,
+        reason: error.reason
+      },
+      attempts,
+      timestamp: new Date().toISOString()
+    };
+  }
+};
@@ -0,0 +1,202 @@
+const chunk = require('lodash/chunk');
+const cloneDeep = require('lodash/cloneDeep');
+const get = require('lodash/get');
+const pick = require('lodash/pick');
+const promiseRetry = require('promise-retry');
+const set = require('lodash/set');
+const uniq = require('lodash/uniq');
+
+const converter = require('./converter');
+const errors = require('./errors');
+const redact = require('./redact');
+
+// BatchGetItem accepts up to 100 keys per request
+const MAX_BATCH_KEYS = 100;
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minTimeout: 50
+};
+
+// Used to tell promise-retry that some keys still have to be requested
+const UNPROCESSED_KEYS_ERROR = new Error('some keys were left unprocessed');
+
+function getCacheKey(table, key) {
+  const attributes = Object.keys(key).sort();
+  return JSON.stringify([table, attributes.map(attribute => [attribute, key[attribute]])]);
+}
+
+function resolveKey(image, lookup) {
+  if (lookup.keyResolver) {
+    return lookup.keyResolver(image) || null;
+  }
+
+  const key = Object.keys(lookup.key).reduce((acc, attribute) => {
+    return { ...acc, [attribute]: get(image, lookup.key[attribute]) };
+  }, {});
+
+  // Lookup is skipped when any of the key fields is missing
+  return Object.values(key).some(value => value === undefined || value === null)
+    ? null
+    : key;
+}
+
+function formatProjection(attributes) {
+  const names = attributes.reduce((acc, attribute, index) => {
+    return { ...acc, [`#a${index}`]: attribute };
+  }, {});
+
+  return {
+    ProjectionExpression: Object.keys(names).join(', '),
+    ExpressionAttributeNames: names
+  };
+}
+
+function collectRequests(records, options, conversion) {
+  const requests = new Map();
+  const projections = new Map();
+
+  records.forEach(record => {
+    let parsedRecord;
+    try {
+      parsedRecord = converter.unmarshallRecord(record.dynamodb, conversion);
+    } catch (err) {
+      // Broken records are reported when they are processed
+      return;
+    }
+
+    [parsedRecord.NewImage, parsedRecord.OldImage].forEach(image => {
+      options.lookups.forEach(lookup => {
+        const key = resolveKey(image, lookup);
+        if (!key) {
+          return;
+        }
+
+        requests.set(getCacheKey(lookup.table, key), { table: lookup.table, key });
+
+        // Key attributes are always projected, so that items can be matched with requests
+        const projection = projections.has(lookup.table) ? projections.get(lookup.table) : [];
+        projections.set(
+          lookup.table,
+          projection && lookup.attributes
+            ? uniq([...projection, ...Object.keys(key), ...lookup.attributes])
+            : null
+        );
+      });
+    });
+  });
+
+  return { requests: Array.from(requests.values()), projections };
+}
+
+function formatRequestItems(requests, projections) {
+  return requests.reduce((acc, request) => {
+    const projection = projections.get(request.table);
+    const tableItems = acc[request.table] || {
+      Keys: [],
+      ...(projection ? formatProjection(projection) : {})
+    };
+
+    tableItems.Keys.push(request.key);
+    return { ...acc, [request.table]: tableItems };
+  }, {});
+}
+
+function fetchChunk(client, requests, projections, retryOptions) {
+  const keyNames = requests.reduce((acc, request) => {
+    return { ...acc, [request.table]: Object.keys(request.key) };
+  }, {});
+  const items = [];
+  let requestItems = formatRequestItems(requests, projections);
+
+  return promiseRetry(retry => {
+    return client
+      .batchGet({ RequestItems: requestItems })
+      .promise()
+      .then(response => {
+        Object.keys(response.Responses || {}).forEach(table => {
+          response.Responses[table].forEach(item => items.push({ table, item }));
+        });
+
+        const unprocessed = response.UnprocessedKeys || {};
+        if (Object.keys(unprocessed).length !== 0) {
+          requestItems = unprocessed;
+          retry(UNPROCESSED_KEYS_ERROR);
+        }
+      });
+  }, retryOptions)
+    .then(() => items.map(({ table, item }) => ({
+      cacheKey: getCacheKey(table, pick(item, keyNames[table])),
+      item
+    })));
+}
+
+module.exports = {
+  /**
+   * Looks up related items of all the records with batched BatchGetItem requests.
+   *
+   * @param {Object} client - DynamoDB DocumentClient
+   * @param {Object[]} records - stream records
+   * @param {Object} options - enrichment options (lookups and retry options)
+   * @param {Object} [conversion] - conversion policies used to unmarshall records
+   * @returns {Promise<Map>} - related items by table and key; missing items are set to null
+   */
+  async load(client, records, options, conversion) {
+    const { requests, projections } = collectRequests(records, options, conversion);
+    const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retryOptions };
+    const cache = new Map(requests.map(request => {
+      return [getCacheKey(request.table, request.key), null];
+    }));
+
+    // Chunks are requested sequentially to keep the load on the tables predictable
+    await chunk(requests, MAX_BATCH_KEYS).reduce(async (acc, requestsChunk) => {
+      await acc;
+
+      let found;
+      try {
+        found = await fetchChunk(client, requestsChunk, projections, retryOptions);
+      } catch (err) {
+        throw new errors.EnrichmentError(err);
+      }
+
+      found.forEach(({ cacheKey, item }) => cache.set(cacheKey, item));
+    }, Promise.resolve());
+
+    return cache;
+  },
+
+  /**
+   * Sets related items to new and old images of the record.
+   *
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object[]} lookups - lookups (table, key, attributes and path)
+   * @param {Map} cache - related items returned by "load"
+   * @param {Object[]} [rules] - redaction rules applied to the items at their paths
+   * @returns {Object} - record with enriched images
+   */
+  apply(parsedRecord, lookups, cache, rules) {
+    const enrichImage = image => lookups.reduce((acc, lookup) => {
+      // Keys are resolved from the original image, so lookups can't depend on each other
+      const key = resolveKey(image, lookup);
+      const item = key && cache.get(getCacheKey(lookup.table, key));
+
+      if (!item) {
+        return acc;
+      }
+
+      let value = cloneDeep(lookup.attributes ? pick(item, lookup.attributes) : item);
+      if (rules) {
+        // Rules address fields of the enriched image, so the item is redacted at its path
+        value = get(redact.redactDocument(set({}, lookup.path, value), rules), lookup.path);
+      }
+
+      return value === undefined ? acc : set(acc, lookup.path, value);
+    }, cloneDeep(image));
+
+    return {
+      ...parsedRecord,
+      NewImage: enrichImage(parsedRecord.NewImage),
+      OldImage: enrichImage(parsedRecord.OldImage)
+    };
+  }
+};
@@ -0,0 +1,40 @@
+const utils = require('./utils');
+
+function matchesCondition(parsedRecord, condition) {
+  const value = utils.findField(parsedRecord, condition.field);
+
+  if (value === undefined) {
+    return false;
+  }
+  if (condition.value !== undefined) {
+    return value === condition.value;
+  }
+  if (condition.prefix !== undefined) {
+    return String(value).startsWith(condition.prefix);
+  }
+  return new RegExp(condition.pattern).test(String(value));
+}
+
+module.exports = {
+  /**
+   * Finds the first entity which conditions are all met by the record.
+   *
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object[]} entities - ordered list of entities
+   * @returns {Object|undefined} - matching entity
+   */
+  find(parsedRecord, entities) {
+    return entities.find(entity => this.matches(parsedRecord, entity.match));
+  },
+
+  /**
+   * Checks whether the record meets all the conditions.
+   *
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object|Object[]} match - condition(s) to be met
+   * @returns {Boolean} - true if all the conditions are met
+   */
+  matches(parsedRecord, match) {
+    return [].concat(match).every(condition => matchesCondition(parsedRecord, condition));
+  }
+};
@@ -0,0 +1,18 @@
+class BulkItemError extends Error {
+  constructor(item, attempts, retryable) {
+    const operation = Object.keys(item)[0];
+    const result = item[operation];
+    const { error } = result;
+
+    super(`"${operation}" action failed with status ${result.status}: ${error.reason || error.type}`);
+    this.name = 'BulkItemError';
+    this.details = item;
+    this.status = result.status;
+    this.type = error.type;
+    this.reason = error.reason;
+    this.attempts = attempts;
+    this.retryable = retryable;
+  }
+}
+
+module.exports = BulkItemError;
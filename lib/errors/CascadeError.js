@@ -0,0 +1,11 @@
+class CascadeError extends Error {
+  constructor(params, err) {
+    super(`failed to delete documents from "${params.index}": ${err.message}`);
+    this.name = 'CascadeError';
+    this.details = err;
+    this.index = params.index;
+    this.query = params.body.query;
+  }
+}
+
+module.exports = CascadeError;
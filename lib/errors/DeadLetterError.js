@@ -0,0 +1,9 @@
+class DeadLetterError extends Error {
+  constructor(failures) {
+    super(`${failures.length} dead letter entries failed to be sent`);
+    this.name = 'DeadLetterError';
+    this.details = failures;
+  }
+}
+
+module.exports = DeadLetterError;
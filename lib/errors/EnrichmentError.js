@@ -0,0 +1,9 @@
+class EnrichmentError extends Error {
+  constructor(err) {
+    super(`failed to look up related items: ${err.message}`);
+    this.name = 'EnrichmentError';
+    this.details = err;
+  }
+}
+
+module.exports = EnrichmentError;
@@ -0,0 +1,9 @@
+class IndexBootstrapError extends Error {
+  constructor(resource, err) {
+    super(`failed to ensure "${resource}": ${err.message}`);
+    this.name = 'IndexBootstrapError';
+    this.details = err;
+  }
+}
+
+module.exports = IndexBootstrapError;
@@ -0,0 +1,9 @@
+class MappingConflictError extends Error {
+  constructor(path, types) {
+    super(`"${path}" field has conflicting types: ${types.join(', ')}`);
+    this.name = 'MappingConflictError';
+    this.details = types;
+  }
+}
+
+module.exports = MappingConflictError;
@@ -0,0 +1,9 @@
+class MissingOldImageError extends Error {
+  constructor(record) {
+    super('record does not have old image to be soft removed');
+    this.name = 'MissingOldImageError';
+    this.details = record;
+  }
+}
+
+module.exports = MissingOldImageError;
@@ -0,0 +1,9 @@
+class UnmatchedEntityError extends Error {
+  constructor(record) {
+    super('record does not match any of the entities');
+    this.name = 'UnmatchedEntityError';
+    this.details = record;
+  }
+}
+
+module.exports = UnmatchedEntityError;
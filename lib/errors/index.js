@@ -1,9 +1,25 @@
+const BulkItemError = require('./BulkItemError');
+const CascadeError = require('./CascadeError');
+const DeadLetterError = require('./DeadLetterError');
+const EnrichmentError = require('./EnrichmentError');
 const FieldNotFoundError = require('./FieldNotFoundError');
+const IndexBootstrapError = require('./IndexBootstrapError');
+const MappingConflictError = require('./MappingConflictError');
+const MissingOldImageError = require('./MissingOldImageError');
 const UnknownEventNameError = require('./UnknownEventNameError');
+const UnmatchedEntityError = require('./UnmatchedEntityError');
 const ValidationError = require('./ValidationError');
 
 module.exports = {
+  BulkItemError,
+  CascadeError,
+  DeadLetterError,
+  EnrichmentError,
   FieldNotFoundError,
+  IndexBootstrapError,
+  MappingConflictError,
+  MissingOldImageError,
   UnknownEventNameError,
+  UnmatchedEntityError,
   ValidationError
 };
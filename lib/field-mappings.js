@@ -0,0 +1,96 @@
+const cloneDeep = require('lodash/cloneDeep');
+const escapeRegExp = require('lodash/escapeRegExp');
+const get = require('lodash/get');
+const isPlainObject = require('lodash/isPlainObject');
+const set = require('lodash/set');
+const unset = require('lodash/unset');
+
+function toArray(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+function compilePattern(pattern) {
+  // "*" matches within a single path segment, while "**" matches across segments
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(escapeRegExp).join('[^.]*'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`);
+}
+
+function omitPaths(doc, patterns, prefix) {
+  return Object.keys(doc).reduce((acc, key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (patterns.some(pattern => pattern.test(path))) {
+      return acc;
+    }
+
+    return {
+      ...acc,
+      [key]: isPlainObject(doc[key]) ? omitPaths(doc[key], patterns, path) : doc[key]
+    };
+  }, {});
+}
+
+function concat(doc, options) {
+  const { fields, separator = ' ' } = options;
+  const values = fields
+    .map(field => get(doc, field))
+    .filter(value => value !== undefined && value !== null);
+
+  return values.length !== 0 ? values.join(separator) : undefined;
+}
+
+module.exports = {
+  /**
+   * Shapes document according to declarative field mappings. Computed fields are resolved
+   * from the document before it is changed, then fields are renamed, computed fields and
+   * defaults are set and, finally, omitted fields are removed.
+   *
+   * @param {Object} doc - document
+   * @param {Object} keys - unmarshalled keys of the record
+   * @param {Object} mappings - field mappings (rename, omit, defaults, fromKeys, concat)
+   * @returns {Object} - shaped document
+   */
+  apply(doc, keys, mappings) {
+    const {
+      rename = {},
+      omit,
+      defaults = {},
+      fromKeys = {},
+      concat: concatenations = {}
+    } = mappings;
+
+    const computed = [
+      ...Object.keys(fromKeys).map(path => [path, get(keys, fromKeys[path])]),
+      ...Object.keys(concatenations).map(path => [path, concat(doc, concatenations[path])])
+    ];
+
+    let result = cloneDeep(doc);
+
+    Object.keys(rename).forEach(source => {
+      const value = get(doc, source);
+      if (value !== undefined) {
+        unset(result, source);
+        set(result, rename[source], value);
+      }
+    });
+
+    computed
+      .filter(([, value]) => value !== undefined)
+      .forEach(([path, value]) => set(result, path, value));
+
+    Object.keys(defaults)
+      .filter(path => get(result, path) === undefined)
+      .forEach(path => set(result, path, cloneDeep(defaults[path])));
+
+    const patterns = toArray(omit).map(compilePattern);
+    if (patterns.length !== 0) {
+      result = omitPaths(result, patterns);
+    }
+
+    return result;
+  }
+};
@@ -1,15 +1,29 @@
 const bunyan = require('alpha-lambda-bunyan');
-const DynamoDB = require('aws-sdk/clients/dynamodb');
 const lambdaHandler = require('alpha-lambda');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
 const pick = require('lodash/pick');
-const promiseRetry = require('promise-retry');
 
+const actions = require('./actions');
+const bootstrap = require('./bootstrap');
+const bulk = require('./bulk');
+const cascade = require('./cascade');
+const coalesce = require('./coalesce');
+const converter = require('./converter');
+const deadLetter = require('./dead-letter');
+const enrich = require('./enrich');
+const entities = require('./entities');
 const errors = require('./errors');
+const redact = require('./redact');
 const schemas = require('./schemas');
+const update = require('./update');
 const utils = require('./utils');
 
 const DEFAULT_RETRY_COUNT = 0;
 
+function getTargetName(target, index) {
+  return target.name !== undefined ? target.name : index;
+}
+
 module.exports = function(options = {}) {
   utils.validate(options, schemas.HANDLER_OPTIONS);
 
@@ -18,158 +32,313 @@ module.exports = function(options = {}) {
       bulk: bulkOpts = {},
       client: esclient,
     },
-    separator = '.',
-    indexPrefix = '',
   } = options;
 
+  const targets = options.targets || [pick(options, schemas.TARGET_KEYS)];
+
+  function resolveTargets(record, parsedRecord) {
+    if (!options.entities) {
+      return targets;
+    }
+
+    const entity = entities.find(parsedRecord, options.entities);
+    if (entity) {
+      return [entity];
+    }
+    if (options.unmatchedEntity === 'error') {
+      throw new errors.UnmatchedEntityError(record);
+    }
+    return [];
+  }
+
   const retryOptions = { retries: DEFAULT_RETRY_COUNT, ...options.retryOptions };
 
+  const enrichClient = options.enrich
+    && (options.enrich.client || new DynamoDB.DocumentClient());
+
+  // Bootstrapped resources are cached for the lifetime of the container
+  const ensuredIndices = new Set();
+  let templatesPut = false;
+
   const handler = lambdaHandler()
     .use(bunyan())
-    .use((event, context) => {
+    .use((rawEvent, context) => {
+      // Sensitive fields are redacted before the event reaches anything else, including hooks
+      const event = options.redact ? redact.redactEvent(rawEvent, options.redact) : rawEvent;
+
       return Promise.resolve()
         .then(async () => {
           if (options.beforeHook) {
             await options.beforeHook(event, context);
           }
 
-          utils.validate(event, schemas.EVENT, { allowUnknown: true });
+          utils.validate(
+            event,
+            options.reportBatchItemFailures ? schemas.SEQUENCED_EVENT : schemas.EVENT,
+            { allowUnknown: true }
+          );
 
-          const parsedEvent = await event.Records.reduce(async (acc, record) => {
-            acc = await acc; // eslint-disable-line no-param-reassign
+          if (options.indexTemplates && !templatesPut) {
+            await bootstrap.putTemplates(esclient, options.indexTemplates);
+            templatesPut = true;
+          }
 
-            try {
-              const parsedRecord = DynamoDB.Converter.unmarshall({
-                NewImage: { M: record.dynamodb.NewImage || {} },
-                OldImage: { M: record.dynamodb.OldImage || {} },
-                Keys: { M: record.dynamodb.Keys }
-              });
+          // Related items are looked up for the whole event at once to batch the requests
+          const relatedItems = options.enrich
+            ? await enrich.load(enrichClient, event.Records, options.enrich, options.conversion)
+            : null;
 
-              let doc = options.pickFields
-                ? pick(parsedRecord.NewImage, options.pickFields)
-                : parsedRecord.NewImage;
+          let parsedEvent = await event.Records.reduce(async (acc, record) => {
+            acc = await acc; // eslint-disable-line no-param-reassign
 
-              const idResolver = options.idResolver || (() => {
-                return options.idField
-                  ? utils.assembleField(parsedRecord, options.idField, separator)
-                  : utils.assembleField(parsedRecord, Object.keys(parsedRecord.Keys), separator);
-              });
+            try {
+              let parsedRecord = converter.unmarshallRecord(record.dynamodb, options.conversion);
+              if (relatedItems) {
+                parsedRecord = enrich.apply(
+                  parsedRecord,
+                  options.enrich.lookups,
+                  relatedItems,
+                  options.redact
+                );
+              }
 
-              const id = idResolver(doc, parsedRecord.OldImage);
-
-              const actionDescriptionObj = {
-                _index: options.index
-                  || `${indexPrefix}${utils.assembleField(parsedRecord, options.indexField, separator)}`,
-                _type: options.type
-                  || (
-                    options.typeField
-                    && utils.assembleField(parsedRecord, options.typeField, separator)
-                  ),
-                _id: id
+              const recordEvent = {
+                ...record,
+                dynamodb: {
+                  ...record.dynamodb,
+                  ...parsedRecord
+                }
               };
+              const isTtlExpiration = utils.isTtlExpiration(record);
+              const recordIndices = [];
+              let recordIndex;
 
-              // Omit blank _type
-              if (!actionDescriptionObj._type) {
-                delete actionDescriptionObj._type;
-              }
-
-              if (options.parentField) {
-                actionDescriptionObj.parent = utils.getField(parsedRecord, options.parentField);
+              if (isTtlExpiration && options.onTtlExpire) {
+                await options.onTtlExpire(event, context, recordEvent);
               }
 
-              if (options.versionResolver || options.versionField) {
-                const version = options.versionResolver
-                  ? options.versionResolver(doc, parsedRecord.OldImage)
-                  : utils.getField(parsedRecord, options.versionField);
-                utils.validate(version, schemas.VERSION.label(options.versionField || 'resolved version'));
-                actionDescriptionObj.version = version;
-                actionDescriptionObj.versionType = 'external';
-              }
+              // Targets are processed sequentially to keep hooks execution order predictable
+              const recordTargets = resolveTargets(record, parsedRecord);
+              const entries = await recordTargets.reduce(async (entriesAcc, target) => {
+                const recordEntries = await entriesAcc;
 
-              if (options.transformRecordHook) {
-                doc = await options.transformRecordHook(doc, parsedRecord.OldImage);
-              }
+                const built = await actions.build(record, parsedRecord, target, options);
 
-              if (doc) {
-                let action;
-                switch (record.eventName) {
-                  case 'INSERT':
-                  case 'MODIFY':
-                    action = { index: actionDescriptionObj };
-                    acc.actions.push(action);
-                    acc.actions.push(doc);
-                    break;
-
-                  case 'REMOVE':
-                    if (actionDescriptionObj && typeof actionDescriptionObj.version !== 'undefined') {
-                      actionDescriptionObj.version++;
+                recordIndex = recordIndex || built.index;
+                if ((target.mappings || target.indexSettings) && built.entries.length !== 0) {
+                  recordIndices.push({ index: built.index, target });
+                }
+                built.entries.forEach(entry => {
+                  recordEntries.push({
+                    body: entry.body,
+                    meta: {
+                      event: recordEvent,
+                      ...entry.meta,
+                      ...(isTtlExpiration ? { ttl: true } : {}),
+                      ...(target.versionStrategy
+                        ? { versionStrategy: target.versionStrategy }
+                        : {}),
+                      ...(options.targets ? { target: getTargetName(target, built.index) } : {}),
+                      ...(options.entities ? { entity: getTargetName(target, built.index) } : {})
                     }
-                    action = { delete: actionDescriptionObj };
-                    acc.actions.push(action);
-                    break;
+                  });
+                });
 
-                  default:
-                    throw new errors.UnknownEventNameError(record);
-                }
+                return recordEntries;
+              }, []);
+
+              if (options.scriptResolver) {
+                const scripts = await options.scriptResolver(
+                  parsedRecord.NewImage,
+                  parsedRecord.OldImage,
+                  record.eventName
+                );
 
-                acc.meta.push({
-                  event: {
-                    ...record,
-                    dynamodb: {
-                      ...record.dynamodb,
-                      ...parsedRecord
+                [].concat(scripts || []).forEach(script => {
+                  // Records matching no entity have no index for scripts to default to
+                  const scriptSchema = recordIndex
+                    ? schemas.SCRIPT
+                    : schemas.SCRIPT.requiredKeys('index');
+                  utils.validate(script, scriptSchema.label('resolved script'));
+
+                  const body = update.formatScript(script, recordIndex);
+                  entries.push({
+                    body,
+                    meta: {
+                      event: recordEvent,
+                      action: body[0],
+                      script,
+                      ...(isTtlExpiration ? { ttl: true } : {})
                     }
-                  },
-                  action,
-                  document: doc
+                  });
                 });
               }
+
+              const cascades = options.cascade
+                ? cascade.build(record, parsedRecord, options.cascade)
+                : [];
+
+              // Actions are added only when the whole record is processed successfully
+              entries.forEach(entry => {
+                acc.actions.push(entry.body);
+                acc.meta.push(entry.meta);
+                acc.records.push(record);
+              });
+              acc.indices.push(...recordIndices);
+              cascades.forEach(params => {
+                acc.cascades.push({
+                  params,
+                  record,
+                  meta: {
+                    event: recordEvent,
+                    cascade: params,
+                    ...(isTtlExpiration ? { ttl: true } : {})
+                  }
+                });
+              });
             } catch (err) {
+              if (options.deadLetter) {
+                acc.deadLetters.push(deadLetter.formatEntry(record, null, err, 0));
+              } else if (options.reportBatchItemFailures) {
+                acc.failedRecords.push(record);
+              }
+
               if (options.recordErrorHook) {
                 await options.recordErrorHook(event, context, err);
-              } else {
+              } else if (!options.deadLetter && !options.reportBatchItemFailures) {
                 throw err;
               }
             }
 
             return acc;
-          }, { actions: [], meta: [] });
-
-          if (parsedEvent.actions.length === 0) {
-            return {
-              result: {
-                took: 0,
-                errors: false,
-                items: []
-              },
-              meta: parsedEvent.meta
+          }, {
+            actions: [],
+            meta: [],
+            records: [],
+            failedRecords: [],
+            deadLetters: [],
+            indices: [],
+            cascades: []
+          });
+
+          if (options.coalesce) {
+            parsedEvent = coalesce(parsedEvent);
+          }
+
+          let result = {
+            took: 0,
+            errors: false,
+            items: []
+          };
+
+          if (parsedEvent.actions.length !== 0) {
+            await bootstrap.ensureIndices(esclient, parsedEvent.indices, ensuredIndices);
+
+            const response = await bulk.send(esclient, bulkOpts, parsedEvent.actions, {
+              retryOptions,
+              maxBytes: options.maxBulkBytes,
+              maxActions: options.maxBulkActions,
+              concurrency: options.bulkConcurrency
+            });
+
+            response.items.forEach((item, index) => {
+              if (!bulk.isFailed(item)) {
+                return;
+              }
+
+              // Versions resolved from stream metadata are best-effort, so the conflict means
+              // that the document was written by a record considered to be newer
+              if (parsedEvent.meta[index].versionStrategy && bulk.isVersionConflict(item)) {
+                parsedEvent.meta[index].superseded = true;
+                return;
+              }
+
+              const error = new errors.BulkItemError(
+                item,
+                response.attempts[index],
+                bulk.isRetryable(item)
+              );
+              parsedEvent.meta[index].error = error;
+
+              // Retryable failures are left to Lambda when it is able to retry them
+              if (options.deadLetter && !(error.retryable && options.reportBatchItemFailures)) {
+                parsedEvent.deadLetters.push(deadLetter.formatEntry(
+                  parsedEvent.records[index],
+                  parsedEvent.actions[index],
+                  error,
+                  error.attempts
+                ));
+              } else {
+                parsedEvent.failedRecords.push(
+                  parsedEvent.records[index],
+                  ...(parsedEvent.meta[index].coalesced || [])
+                );
+              }
+            });
+
+            result = response.result;
+          }
+
+          // Dependent documents are removed only after the records themselves are indexed
+          if (parsedEvent.cascades.length !== 0) {
+            const cascadeResults = await cascade.send(
+              esclient,
+              parsedEvent.cascades.map(entry => entry.params)
+            );
+
+            cascadeResults.forEach(({ response, error }, index) => {
+              const entry = parsedEvent.cascades[index];
+              parsedEvent.meta.push({
+                ...entry.meta,
+                ...(error ? { error } : { result: response })
+              });
+
+              if (!error) {
+                return;
+              }
+
+              if (options.deadLetter) {
+                parsedEvent.deadLetters.push(deadLetter.formatEntry(entry.record, null, error, 1));
+              } else {
+                parsedEvent.failedRecords.push(entry.record);
+              }
+            });
+
+            result = {
+              ...result,
+              cascade: {
+                errors: cascadeResults.some(({ error }) => Boolean(error)),
+                items: cascadeResults.map(({ response }) => response || null)
+              }
             };
           }
 
-          return promiseRetry(retry => {
-            return esclient
-              .bulk({
-                ...bulkOpts,
-                body: parsedEvent.actions
-              })
-              .then(result => {
-                return {
-                  result,
-                  meta: parsedEvent.meta
-                };
-              })
-              .catch(retry);
-          }, retryOptions);
+          if (parsedEvent.deadLetters.length !== 0) {
+            // Re-drive has to know that records are redacted already, not to redact them twice
+            await options.deadLetter.send(options.redact
+              ? parsedEvent.deadLetters.map(entry => ({ ...entry, redacted: true }))
+              : parsedEvent.deadLetters);
+          }
+
+          return {
+            result,
+            meta: parsedEvent.meta,
+            failedRecords: parsedEvent.failedRecords
+          };
         })
-        .then(result => {
+        .then(({ result, meta, failedRecords }) => {
+          const response = options.reportBatchItemFailures
+            ? utils.formatBatchItemFailures(failedRecords)
+            : result;
+
           if (options.afterHook) {
             return Promise.resolve()
-              .then(() => options.afterHook(event, context, result.result, result.meta))
+              .then(() => options.afterHook(event, context, result, meta))
               .then(hookResult => {
-                return hookResult !== undefined ? hookResult : result.result;
+                return hookResult !== undefined ? hookResult : response;
               });
           }
-          return result.result;
+          return response;
         })
         .catch(err => {
           if (options.errorHook) {
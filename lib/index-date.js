@@ -0,0 +1,63 @@
+const utils = require('./utils');
+
+const DATE_TOKENS = /yyyy|yy|MM|dd|HH|mm|ss/g;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function parseOffset(timeZone) {
+  if (timeZone === 'UTC') {
+    return 0;
+  }
+
+  const [, sign, hours, minutes] = timeZone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+}
+
+module.exports = {
+  /**
+   * Formats date with date math style pattern (e.g. "yyyy.MM.dd").
+   *
+   * @param {Date} date - date to be formatted
+   * @param {String} pattern - pattern with yyyy, yy, MM, dd, HH, mm and ss tokens
+   * @param {String} [timeZone] - "UTC" or fixed offset (e.g. "+02:00")
+   * @returns {String} - formatted date
+   */
+  format(date, pattern, timeZone = 'UTC') {
+    const shifted = new Date(date.getTime() + parseOffset(timeZone) * 60000);
+    const tokens = {
+      yyyy: pad(shifted.getUTCFullYear(), 4),
+      yy: pad(shifted.getUTCFullYear() % 100),
+      MM: pad(shifted.getUTCMonth() + 1),
+      dd: pad(shifted.getUTCDate()),
+      HH: pad(shifted.getUTCHours()),
+      mm: pad(shifted.getUTCMinutes()),
+      ss: pad(shifted.getUTCSeconds())
+    };
+
+    return pattern.replace(DATE_TOKENS, token => tokens[token]);
+  },
+
+  /**
+   * Resolves date based suffix of the index name.
+   *
+   * @param {Object} record - stream record
+   * @param {Object} parsedRecord - unmarshalled keys, new and old images of the record
+   * @param {Object} options - "indexDate" options
+   * @returns {String} - separator followed by the formatted date
+   */
+  resolve(record, parsedRecord, options) {
+    const {
+      field,
+      format,
+      pattern,
+      separator = '-',
+      timeZone
+    } = options;
+
+    const time = utils.resolveTime(record, parsedRecord, field, format);
+
+    return `${separator}${this.format(new Date(time), pattern, timeZone)}`;
+  }
+};
@@ -0,0 +1,138 @@
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+const pick = require('lodash/pick');
+
+const converter = require('./converter');
+const errors = require('./errors');
+const fieldMappings = require('./field-mappings');
+const schemas = require('./schemas');
+const utils = require('./utils');
+
+const FIELD_TYPES = {
+  S: 'keyword',
+  SS: 'keyword',
+  B: 'binary',
+  BS: 'binary',
+  BOOL: 'boolean'
+};
+
+const NUMERIC_TYPES = ['long', 'double'];
+
+function inferNumber(values) {
+  return values.every(value => /^-?\d+$/.test(value)) ? 'long' : 'double';
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(mapping) {
+  return mapping.type || 'object';
+}
+
+function mergeMappings(a, b, path) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  if (a.properties && b.properties) {
+    return {
+      properties: Object.keys(b.properties).reduce((acc, key) => ({
+        ...acc,
+        [key]: mergeMappings(acc[key], b.properties[key], joinPath(path, key))
+      }), a.properties)
+    };
+  }
+
+  if (a.type === b.type) {
+    return a;
+  }
+
+  // Integers are widened when the same field holds fractional numbers as well
+  if (NUMERIC_TYPES.includes(a.type) && NUMERIC_TYPES.includes(b.type)) {
+    return { type: 'double' };
+  }
+
+  throw new errors.MappingConflictError(path, [describe(a), describe(b)]);
+}
+
+function inferProperties(item, path) {
+  return Object.keys(item).reduce((acc, key) => {
+    // eslint-disable-next-line no-use-before-define
+    const mapping = inferField(item[key], joinPath(path, key));
+    return mapping ? { ...acc, [key]: mapping } : acc;
+  }, {});
+}
+
+function inferField(descriptor, path) {
+  const [type] = Object.keys(descriptor);
+  const value = descriptor[type];
+
+  switch (type) {
+    case 'N':
+      return { type: inferNumber([value]) };
+    case 'NS':
+      return { type: inferNumber(value) };
+    case 'M':
+      return { properties: inferProperties(value, path) };
+    case 'L':
+      // Elasticsearch has no dedicated array type, so list is mapped as its items
+      return value.reduce((acc, entry) => mergeMappings(acc, inferField(entry, path), path), null);
+    case 'NULL':
+      return null;
+    default:
+      return { type: FIELD_TYPES[type] };
+  }
+}
+
+async function formatDocument(sample, options) {
+  const parsed = converter.unmarshallRecord({
+    NewImage: sample.image,
+    OldImage: sample.oldImage,
+    Keys: sample.keys
+  }, options.conversion);
+
+  let doc = options.pickFields
+    ? pick(parsed.NewImage, options.pickFields)
+    : parsed.NewImage;
+
+  if (options.fieldMappings) {
+    doc = fieldMappings.apply(doc, parsed.Keys, options.fieldMappings);
+  }
+
+  if (options.transformRecordHook) {
+    doc = await options.transformRecordHook(doc, parsed.OldImage);
+  }
+
+  // Documents are marshalled back to get type descriptors of the fields that are sent
+  return doc && DynamoDB.Converter.marshall(doc);
+}
+
+/**
+ * Infers Elasticsearch mapping from DynamoDB type descriptors of the sample records or items.
+ *
+ * @param {Object} options - samples and options that define how document is built
+ * @returns {Promise<Object>} - mapping (object with "properties")
+ */
+module.exports = async function(options) {
+  utils.validate(options, schemas.INFER_MAPPING_OPTIONS);
+
+  const samples = options.records
+    ? options.records.map(record => ({
+      // Soft removal indexes the old image, so it is a valid sample as well
+      image: record.dynamodb.NewImage || record.dynamodb.OldImage,
+      oldImage: record.dynamodb.OldImage,
+      keys: record.dynamodb.Keys || {}
+    }))
+    // Key attributes are part of the item
+    : options.items.map(item => ({ image: item, keys: item }));
+
+  // Samples are processed sequentially to keep hooks execution order predictable
+  return samples.reduce(async (acc, sample) => {
+    const merged = await acc;
+    const doc = await formatDocument(sample, options);
+
+    return doc
+      ? mergeMappings(merged, { properties: inferProperties(doc) }, '')
+      : merged;
+  }, Promise.resolve({ properties: {} }));
+};
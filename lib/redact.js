@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+
+const STRING_TYPES = ['S', 'N'];
+const SET_TYPES = ['SS', 'NS'];
+
+function redactString(value, rule) {
+  switch (rule.strategy) {
+    case 'mask': {
+      const { visible = 0, char = '*' } = rule;
+      const hidden = Math.max(value.length - visible, 0);
+      return char.repeat(hidden) + value.slice(hidden);
+    }
+    case 'hash':
+      return crypto.createHmac(rule.algorithm || 'sha256', rule.key).update(value).digest('hex');
+    default:
+      return value.slice(0, rule.length);
+  }
+}
+
+function redactAttribute(attribute, rule) {
+  const [type] = Object.keys(attribute);
+  const value = attribute[type];
+
+  if (rule.strategy === 'drop') {
+    return undefined;
+  }
+
+  // Numbers become strings once they are redacted
+  if (STRING_TYPES.includes(type)) {
+    return { S: redactString(value, rule) };
+  }
+  if (SET_TYPES.includes(type)) {
+    return { SS: value.map(entry => redactString(entry, rule)) };
+  }
+  if (type === 'L') {
+    const items = value
+      .map(entry => redactAttribute(entry, rule))
+      .filter(entry => entry !== undefined);
+    return { L: items };
+  }
+
+  // Values that can't be redacted are dropped rather than leaked
+  return undefined;
+}
+
+function redactPath(map, segments, rule) {
+  const [key, ...rest] = segments;
+  const attribute = map[key];
+
+  if (!attribute) {
+    return map;
+  }
+
+  let redacted;
+  if (rest.length === 0) {
+    redacted = redactAttribute(attribute, rule);
+  } else if (attribute.M) {
+    redacted = { M: redactPath(attribute.M, rest, rule) };
+  } else if (attribute.L) {
+    // Path is applied to every map in the list
+    redacted = {
+      L: attribute.L.map(entry => (entry.M ? { M: redactPath(entry.M, rest, rule) } : entry))
+    };
+  } else {
+    return map;
+  }
+
+  const result = { ...map };
+  if (redacted === undefined) {
+    delete result[key];
+  } else {
+    result[key] = redacted;
+  }
+  return result;
+}
+
+function redactImage(image, rules) {
+  return rules.reduce((acc, rule) => redactPath(acc, rule.field.split('.'), rule), image);
+}
+
+module.exports = {
+  /**
+   * Redacts keys, new and old images of all the event records, so that
+   * sensitive values reach neither Elasticsearch, nor hooks and dead letter sink.
+   *
+   * @param {Object} event - DynamoDB Stream event
+   * @param {Object[]} rules - fields along with redaction strategies
+   * @returns {Object} - event with redacted records
+   */
+  redactEvent(event, rules) {
+    // Malformed events are left as is to be reported by validation
+    if (!event || !Array.isArray(event.Records)) {
+      return event;
+    }
+
+    return {
+      ...event,
+      Records: event.Records.map(record => {
+        if (!record || !record.dynamodb) {
+          return record;
+        }
+
+        // Keys are redacted as well, since they identify documents and reach hooks on their own
+        const { Keys, NewImage, OldImage } = record.dynamodb;
+        return {
+          ...record,
+          dynamodb: {
+            ...record.dynamodb,
+            ...(Keys ? { Keys: redactImage(Keys, rules) } : {}),
+            ...(NewImage ? { NewImage: redactImage(NewImage, rules) } : {}),
+            ...(OldImage ? { OldImage: redactImage(OldImage, rules) } : {})
+          }
+        };
+      })
+    };
+  },
+
+  /**
+   * Redacts fields of unmarshalled document, e.g. of the item set by enrichment.
+   *
+   * @param {Object} doc - unmarshalled document
+   * @param {Object[]} rules - fields along with redaction strategies
+   * @returns {Object} - redacted document
+   */
+  redactDocument(doc, rules) {
+    const image = redactImage(DynamoDB.Converter.marshall(doc), rules);
+    return DynamoDB.Converter.unmarshall(image);
+  }
+};
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+const createHandler = require('./handler');
+const redact = require('./redact');
+const schemas = require('./schemas');
+const utils = require('./utils');
+
+function toArray(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+function matches(entry, filter) {
+  const { error = {} } = entry;
+  const errorNames = toArray(filter.errorName);
+  const reasons = toArray(filter.reason);
+  const timestamp = new Date(entry.timestamp);
+
+  return (!errorNames.length || errorNames.includes(error.name))
+    && (!reasons.length || reasons.includes(error.type) || reasons.includes(error.reason))
+    && (!filter.from || timestamp >= new Date(filter.from))
+    && (!filter.to || timestamp <= new Date(filter.to));
+}
+
+function formatRecord(entry, rules) {
+  // Records dead-lettered by a handler with redaction enabled must not be redacted twice
+  return rules && !entry.redacted
+    ? redact.redactEvent({ Records: [entry.record] }, rules).Records[0]
+    : entry.record;
+}
+
+function formatEvent(entries, rules) {
+  // The same record could be dead-lettered more than once, but it has to be replayed only once
+  const sequenceNumbers = new Set();
+  const records = entries
+    .map(entry => formatRecord(entry, rules))
+    .filter(record => {
+      const { SequenceNumber } = record.dynamodb;
+      if (sequenceNumbers.has(SequenceNumber)) {
+        return false;
+      }
+      sequenceNumbers.add(SequenceNumber);
+      return true;
+    });
+
+  return {
+    Records: records.sort((a, b) => {
+      return utils.compareSequenceNumbers(a.dynamodb.SequenceNumber, b.dynamodb.SequenceNumber);
+    })
+  };
+}
+
+function markRedacted(sink) {
+  // Records that fail again are dead-lettered as they were replayed, i.e. redacted
+  return {
+    send: entries => sink.send(entries.map(entry => ({ ...entry, redacted: true })))
+  };
+}
+
+function invoke(handler, event) {
+  const context = {
+    awsRequestId: crypto.randomBytes(16).toString('hex'),
+    functionName: 'dynamo2es-redrive'
+  };
+
+  return new Promise((resolve, reject) => {
+    handler(event, context, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+/**
+ * Replays dead-lettered records through the handler created with the given options.
+ *
+ * @param {Object} options - re-drive options
+ * @returns {Promise<Object>} - replayed entries and either handler result or,
+ *                              in case of a dry run, bulk actions that would be sent
+ */
+module.exports = async function(options) {
+  utils.validate(options, schemas.REDRIVE_OPTIONS);
+
+  const {
+    handler: { redact: redactRules, ...handlerOptions },
+    filter = {},
+    dryRun = false
+  } = options;
+
+  const allEntries = options.source
+    ? await options.source.read()
+    : options.entries;
+  utils.validate(allEntries, schemas.DEAD_LETTER_ENTRIES, { allowUnknown: true });
+
+  const entries = allEntries.filter(entry => matches(entry, filter));
+
+  if (entries.length === 0) {
+    return dryRun
+      ? { entries, actions: [] }
+      : { entries, result: undefined };
+  }
+
+  // Every replayed record is redacted by now, so the handler itself doesn't redact them again
+  const event = formatEvent(entries, redactRules);
+
+  if (!dryRun) {
+    const { deadLetter } = handlerOptions;
+    const result = await invoke(createHandler({
+      ...handlerOptions,
+      deadLetter: deadLetter && redactRules ? markRedacted(deadLetter) : deadLetter
+    }), event);
+    return { entries, result };
+  }
+
+  const actions = [];
+  const handler = createHandler({
+    ...handlerOptions,
+    elasticsearch: {
+      ...handlerOptions.elasticsearch,
+      client: {
+        bulk: params => {
+          actions.push(...params.body);
+          return Promise.resolve({ took: 0, errors: false });
+        },
+        // Dry run must not change the cluster, so dependent documents are never removed
+        deleteByQuery: () => Promise.resolve({ deleted: 0 }),
+        // Indices are never bootstrapped for the same reason
+        indices: {
+          create: () => Promise.resolve(),
+          putIndexTemplate: () => Promise.resolve(),
+          putTemplate: () => Promise.resolve()
+        }
+      }
+    },
+    deadLetter: undefined
+  });
+
+  await invoke(handler, event);
+  return { entries, actions };
+};
@@ -14,51 +14,410 @@ const ELASTICSEARCH_SCHEMA = joi.object({
   }).optional().unknown()
 }).unknown();
 
+const DEAD_LETTER_SINK = joi.object({
+  send: joi.func().required()
+}).unknown();
+
+const TOMBSTONE = joi.object({
+  fields: joi.object(),
+  timestampField: FIELD.allow(null)
+});
+
+const FIELD_MAPPINGS = joi.object({
+  rename: joi.object().pattern(/./, FIELD),
+  omit: [FIELD, joi.array().min(1).items(FIELD)],
+  defaults: joi.object(),
+  fromKeys: joi.object().pattern(/./, FIELD),
+  concat: joi.object().pattern(/./, joi.object({
+    fields: joi.array().min(1).items(FIELD).required(),
+    separator: joi.string().allow('')
+  }))
+});
+
+const REDACTION = joi.object({
+  field: FIELD.required(),
+  strategy: joi.string().valid('drop', 'mask', 'hash', 'truncate').required(),
+  visible: joi.number().integer().min(0)
+    .when('strategy', { is: 'mask', otherwise: joi.forbidden() }),
+  char: joi.string().length(1)
+    .when('strategy', { is: 'mask', otherwise: joi.forbidden() }),
+  key: joi.string().min(1)
+    .when('strategy', { is: 'hash', then: joi.required(), otherwise: joi.forbidden() }),
+  algorithm: joi.string().valid('sha256', 'sha384', 'sha512')
+    .when('strategy', { is: 'hash', otherwise: joi.forbidden() }),
+  length: joi.number().integer().min(1)
+    .when('strategy', { is: 'truncate', then: joi.required(), otherwise: joi.forbidden() })
+});
+
+const CONVERSION = joi.object({
+  sets: joi.string().valid('set', 'array'),
+  binary: joi.string().valid('buffer', 'base64', 'drop'),
+  numbers: joi.string().valid('number', 'string', 'safe')
+});
+
+const LOOKUP = joi.object({
+  table: joi.string().required(),
+  key: joi.object().pattern(/./, FIELD).min(1),
+  keyResolver: joi.func(),
+  attributes: joi.array().min(1).items(FIELD),
+  path: FIELD.required()
+}).xor('key', 'keyResolver').label('lookup');
+
+const ENRICH = joi.object({
+  client: joi.object({
+    batchGet: joi.func().required()
+  }).unknown(),
+  lookups: joi.array().min(1).items(LOOKUP).required(),
+  retryOptions: joi.object()
+});
+
+const EPOCH_TIME = joi.number().min(0);
+
+const ISO_DATE = joi.string().isoDate();
+
+const INDEX_DATE = joi.object({
+  pattern: joi.string().required(),
+  field: FIELD,
+  format: joi.string().valid('seconds', 'millis', 'iso'),
+  timeZone: joi.string().regex(/^(UTC|[+-]\d{2}:?\d{2})$/, 'UTC or fixed offset'),
+  separator: joi.string().allow('')
+}).with('format', 'field');
+
+const DATA_STREAM = joi.object({
+  timestampField: FIELD,
+  timestampFormat: joi.string().valid('seconds', 'millis', 'iso'),
+  removePolicy: joi.string().valid('skip', 'tombstone'),
+  tombstone: TOMBSTONE.when('removePolicy', { is: 'tombstone', otherwise: joi.forbidden() })
+}).with('timestampFormat', 'timestampField');
+
+const VERSION_TYPE = joi.string().valid('external', 'external_gte');
+
+const JOIN = joi.object({
+  field: FIELD,
+  name: joi.string().min(1).required(),
+  parentField: [FIELD, joi.array().min(1).items(FIELD)]
+});
+
+const ENTITY_CONDITION = joi.object({
+  field: FIELD.required(),
+  prefix: joi.string().min(1),
+  pattern: [joi.string().min(1), joi.object().type(RegExp)],
+  value: [joi.string(), joi.number(), joi.boolean()]
+}).xor('prefix', 'pattern', 'value').label('condition');
+
+const MATCH = [ENTITY_CONDITION, joi.array().min(1).items(ENTITY_CONDITION)];
+
+const CASCADE = joi.object({
+  match: MATCH,
+  index: [joi.string().min(1), joi.array().min(1).items(joi.string().min(1))],
+  terms: joi.object().pattern(/./, FIELD).min(1),
+  conflicts: joi.string().valid('abort', 'proceed')
+}).requiredKeys('index', 'terms').label('cascade');
+
+const COLLECTION = joi.object({
+  match: MATCH,
+  field: FIELD.required(),
+  childIdField: FIELD.required(),
+  retryOnConflict: joi.number().integer().min(0)
+}).requiredKeys('match');
+
+// Options that define how document is built and where it is sent to. They can be
+// either set at the top level or specified for each of "targets" separately.
+const TARGET_KEYS = {
+  transformRecordHook: joi.func(),
+  idField: [FIELD, joi.array().min(1).items(FIELD)],
+  idResolver: joi.func(),
+  index: joi.string().min(1),
+  indexField: [FIELD, joi.array().min(1).items(FIELD)],
+  indexPrefix: joi.string().allow(''),
+  indexDate: INDEX_DATE,
+  type: joi.string().min(1),
+  typeField: [FIELD, joi.array().min(1).items(FIELD)],
+  parentField: FIELD,
+  routingField: [FIELD, joi.array().min(1).items(FIELD)],
+  routingResolver: joi.func(),
+  pipeline: joi.string().min(1),
+  pipelineField: FIELD,
+  pipelineResolver: joi.func(),
+  join: JOIN,
+  pickFields: [FIELD, joi.array().min(1).items(FIELD)],
+  fieldMappings: FIELD_MAPPINGS,
+  versionField: FIELD,
+  versionResolver: joi.func(),
+  versionStrategy: joi.string().valid('sequenceNumber', 'creationTime'),
+  // Version type makes sense only when version is resolved one way or another
+  versionType: joi.alternatives().when('versionField', {
+    is: joi.exist(),
+    then: VERSION_TYPE,
+    otherwise: joi.alternatives().when('versionResolver', {
+      is: joi.exist(),
+      then: VERSION_TYPE,
+      otherwise: joi.alternatives().when('versionStrategy', {
+        is: joi.exist(),
+        then: VERSION_TYPE,
+        otherwise: joi.forbidden()
+      })
+    })
+  }),
+  removeMode: joi.string().valid('delete', 'soft'),
+  tombstone: TOMBSTONE,
+  ttlRemove: joi.string().valid('delete', 'keep', 'soft'),
+  ttlTombstone: TOMBSTONE,
+  dataStream: DATA_STREAM,
+  mappings: joi.object(),
+  indexSettings: joi.object(),
+  collection: COLLECTION
+};
+
+// Ingest pipelines can be set only for "index" and "create" actions
+const PIPELINE_KEYS = ['pipeline', 'pipelineField', 'pipelineResolver'];
+
+function withTargetRules(schema) {
+  return schema
+    .with('tombstone', 'removeMode')
+    .with('ttlTombstone', 'ttlRemove')
+    // Data streams are append-only and do not support external versioning
+    .without('dataStream', [
+      'removeMode',
+      'ttlRemove',
+      'versionField',
+      'versionResolver',
+      'versionStrategy',
+      'mappings',
+      'indexSettings'
+    ])
+    // Children are folded into parent document by scripted updates, parent is always deleted
+    .without('collection', [
+      'removeMode',
+      'ttlRemove',
+      'versionField',
+      'versionResolver',
+      'versionStrategy',
+      'dataStream',
+      ...PIPELINE_KEYS
+    ])
+    .oxor('idField', 'idResolver')
+    .oxor('routingField', 'routingResolver')
+    .oxor('pipeline', 'pipelineField', 'pipelineResolver')
+    // Legacy "parent" parameter is not supported by join field
+    .without('join', 'parentField')
+    .oxor('versionField', 'versionResolver', 'versionStrategy')
+    .xor('index', 'indexField')
+    .oxor('type', 'typeField')
+    .without('index', 'indexPrefix')
+    .with('indexPrefix', 'indexField');
+}
+
+const TARGET = withTargetRules(joi.object({
+  name: joi.string().min(1),
+  ...TARGET_KEYS
+}));
+
+const ENTITY = withTargetRules(joi.object({
+  name: joi.string().min(1),
+  match: MATCH,
+  ...TARGET_KEYS
+}).requiredKeys('match')).label('entity');
+
+function targetList(target) {
+  return joi.alternatives().when('updateMode', {
+    is: joi.exist(),
+    // Update API does not support external versioning and ingest pipelines, collections rely
+    // on their own updates
+    then: joi.array().min(1).items(target.forbiddenKeys(
+      'versionField',
+      'versionResolver',
+      'versionStrategy',
+      'dataStream',
+      'collection',
+      ...PIPELINE_KEYS
+    )),
+    otherwise: joi.array().min(1).items(target)
+  });
+}
+
 const HANDLER_OPTIONS = joi
   .object({
     elasticsearch: ELASTICSEARCH_SCHEMA.required(),
     beforeHook: joi.func(),
     afterHook: joi.func(),
     recordErrorHook: joi.func(),
+    onTtlExpire: joi.func(),
     errorHook: joi.func(),
-    transformRecordHook: joi.func(),
+    transformRecordHook: TARGET_KEYS.transformRecordHook,
     separator: joi.string().allow(''),
-    idField: [FIELD, joi.array().min(1).items(FIELD)],
-    idResolver: joi.func(),
-    index: joi.string().min(1),
-    indexField: [FIELD, joi.array().min(1).items(FIELD)],
-    indexPrefix: joi.string().allow(''),
-    type: joi.string().min(1),
-    typeField: [FIELD, joi.array().min(1).items(FIELD)],
-    parentField: FIELD,
-    pickFields: [FIELD, joi.array().min(1).items(FIELD)],
-    versionField: FIELD,
-    versionResolver: joi.func(),
-    retryOptions: joi.object()
+    redact: joi.array().min(1).items(REDACTION),
+    conversion: CONVERSION,
+    enrich: ENRICH,
+    ...TARGET_KEYS,
+    targets: targetList(TARGET),
+    entities: targetList(ENTITY),
+    unmatchedEntity: joi.string().valid('skip', 'error'),
+    updateMode: joi.string().valid('changed', 'full'),
+    removedFields: joi.string().valid('null', 'script')
+      .when('updateMode', { is: 'full', then: joi.forbidden() }),
+    scriptResolver: joi.func(),
+    cascade: joi.array().min(1).items(CASCADE),
+    retryOptions: joi.object(),
+    maxBulkBytes: joi.number().integer().min(1),
+    maxBulkActions: joi.number().integer().min(1),
+    bulkConcurrency: joi.number().integer().min(1),
+    reportBatchItemFailures: joi.boolean(),
+    indexTemplates: joi.array().min(1).items(joi.object({
+      name: joi.string().required(),
+      body: joi.object().required(),
+      legacy: joi.boolean()
+    })),
+    // Partial updates can't be folded into each other
+    coalesce: joi.boolean().when('updateMode', { is: 'changed', then: joi.valid(false) }),
+    deadLetter: DEAD_LETTER_SINK
+  })
+  .with('removedFields', 'updateMode')
+  // Update API does not support external versioning, data streams and ingest pipelines
+  .without('updateMode', [
+    'versionField',
+    'versionResolver',
+    'versionStrategy',
+    'dataStream',
+    'collection',
+    ...PIPELINE_KEYS
+  ])
+  .with('unmatchedEntity', 'entities')
+  .without('targets', Object.keys(TARGET_KEYS))
+  .without('entities', [...Object.keys(TARGET_KEYS), 'targets'])
+  .when(joi.object().or('targets', 'entities'), {
+    otherwise: withTargetRules(joi.object())
   })
-  .oxor('idField', 'idResolver')
-  .oxor('versionField', 'versionResolver')
-  .xor('index', 'indexField')
-  .oxor('type', 'typeField')
-  .without('index', 'indexPrefix')
-  .with('indexPrefix', 'indexField')
   .label('options');
 
-const EVENT = joi.object({
-  Records: joi.array().items(joi.object({
-    eventName: joi.string().required(),
-    dynamodb: joi.object({
-      Keys: joi.object().required(),
-      NewImage: joi.object(),
-      OldImage: joi.object()
-    }).required()
-  })).required()
+const STREAM_RECORD = joi.object({
+  Keys: joi.object().required(),
+  NewImage: joi.object(),
+  OldImage: joi.object(),
+  SequenceNumber: joi.string(),
+  ApproximateCreationDateTime: joi.number()
 });
 
+function eventSchema(streamRecord) {
+  return joi.object({
+    Records: joi.array().items(joi.object({
+      eventName: joi.string().required(),
+      dynamodb: streamRecord.required()
+    })).required()
+  });
+}
+
+const EVENT = eventSchema(STREAM_RECORD);
+
+// Partial batch responses identify failed records by their sequence numbers
+const SEQUENCED_EVENT = eventSchema(STREAM_RECORD.requiredKeys('SequenceNumber'));
+
 const VERSION = joi.number().min(0);
 
+const ROUTING = joi.alternatives().try(joi.string(), joi.number()).required();
+
+const PIPELINE = joi.string();
+
+const SEQUENCE_NUMBER = joi.string().regex(/^\d+$/, 'numeric');
+
+const SCRIPT = joi.object({
+  index: joi.string().min(1),
+  type: joi.string().min(1),
+  id: joi.alternatives().try(joi.string().min(1), joi.number()).required(),
+  source: joi.string().min(1).required(),
+  lang: joi.string().min(1),
+  params: joi.object(),
+  upsert: joi.object(),
+  scriptedUpsert: joi.boolean(),
+  retryOnConflict: joi.number().integer().min(0)
+});
+
+const FILE_SINK_OPTIONS = joi
+  .object({
+    path: joi.string().required()
+  })
+  .required()
+  .label('options');
+
+const SQS_SINK_OPTIONS = joi
+  .object({
+    // Same as with Elasticsearch client, validating the interface
+    client: joi.object({
+      sendMessageBatch: joi.func().required()
+    }).required().unknown(),
+    queueUrl: joi.string().required()
+  })
+  .required()
+  .label('options');
+
+const STRINGS = [joi.string(), joi.array().items(joi.string())];
+const TIME = [joi.date(), ISO_DATE];
+
+const DEAD_LETTER_ENTRIES = joi
+  .array()
+  .items(joi.object({
+    record: joi.object({
+      eventName: joi.string().required(),
+      dynamodb: STREAM_RECORD.requiredKeys('SequenceNumber').required()
+    }).required(),
+    timestamp: joi.string().isoDate().required(),
+    redacted: joi.boolean()
+  }))
+  .label('entries');
+
+const REDRIVE_OPTIONS = joi
+  .object({
+    // Handler options are validated by the handler itself
+    handler: joi.object().required(),
+    entries: joi.array(),
+    source: joi.object({
+      read: joi.func().required()
+    }).unknown(),
+    filter: joi.object({
+      errorName: STRINGS,
+      reason: STRINGS,
+      from: TIME,
+      to: TIME
+    }),
+    dryRun: joi.boolean()
+  })
+  .xor('entries', 'source')
+  .required()
+  .label('options');
+
+const INFER_MAPPING_OPTIONS = joi
+  .object({
+    records: joi.array().items(joi.object({
+      dynamodb: joi.object({
+        NewImage: joi.object(),
+        OldImage: joi.object()
+      }).or('NewImage', 'OldImage').required().unknown()
+    }).unknown()),
+    items: joi.array().items(joi.object()),
+    pickFields: TARGET_KEYS.pickFields,
+    fieldMappings: TARGET_KEYS.fieldMappings,
+    transformRecordHook: TARGET_KEYS.transformRecordHook,
+    conversion: CONVERSION
+  })
+  .xor('records', 'items')
+  .required()
+  .label('options');
+
 module.exports = {
+  TARGET_KEYS: Object.keys(TARGET_KEYS),
   HANDLER_OPTIONS,
   EVENT,
-  VERSION
+  SEQUENCED_EVENT,
+  VERSION,
+  ROUTING,
+  PIPELINE,
+  SEQUENCE_NUMBER,
+  EPOCH_TIME,
+  ISO_DATE,
+  SCRIPT,
+  FILE_SINK_OPTIONS,
+  SQS_SINK_OPTIONS,
+  DEAD_LETTER_ENTRIES,
+  REDRIVE_OPTIONS,
+  INFER_MAPPING_OPTIONS
 };
@@ -0,0 +1,80 @@
+const isEqual = require('lodash/isEqual');
+const isUndefined = require('lodash/isUndefined');
+const omitBy = require('lodash/omitBy');
+
+// Assigns changed fields and removes the ones that are gone from the new image
+const REMOVE_FIELDS_SCRIPT = [
+  'for (entry in params.doc.entrySet()) { ctx._source[entry.getKey()] = entry.getValue(); }',
+  'for (field in params.removed) { ctx._source.remove(field); }'
+].join(' ');
+
+module.exports = {
+  /**
+   * Formats body of "update" action.
+   *
+   * @param {Object} doc - document to be indexed
+   * @param {Object} image - the same document before "transformRecordHook"
+   * @param {Object} oldImage - previous state of the document shaped the same way as "image"
+   * @param {Object} options - update mode and the way removed fields are handled
+   * @returns {Object} - "update" action body
+   */
+  formatBody(doc, image, oldImage, options) {
+    const { mode, removedFields = 'null' } = options;
+
+    if (mode === 'full') {
+      return { doc, doc_as_upsert: true };
+    }
+
+    // Images are compared before the hook, so fields it sets can't be told apart and are sent
+    const changed = Object.keys(doc)
+      .filter(key => !(key in image) || !isEqual(image[key], oldImage[key]))
+      .reduce((acc, key) => ({ ...acc, [key]: doc[key] }), {});
+    const removed = Object.keys(oldImage).filter(key => !(key in image) && !(key in doc));
+
+    if (removedFields === 'script') {
+      return {
+        script: {
+          source: REMOVE_FIELDS_SCRIPT,
+          lang: 'painless',
+          params: { doc: changed, removed }
+        },
+        upsert: doc
+      };
+    }
+
+    return {
+      doc: removed.reduce((acc, key) => ({ ...acc, [key]: null }), changed),
+      upsert: doc
+    };
+  },
+
+  /**
+   * Formats scripted "update" action.
+   *
+   * @param {Object} script - resolved script
+   * @param {String} defaultIndex - index to be used if script does not specify one
+   * @returns {Object[]} - "update" action description and body
+   */
+  formatScript(script, defaultIndex) {
+    const description = {
+      _index: script.index || defaultIndex,
+      _type: script.type,
+      _id: script.id,
+      retry_on_conflict: script.retryOnConflict
+    };
+    const body = {
+      script: {
+        source: script.source,
+        lang: script.lang || 'painless',
+        params: script.params
+      },
+      upsert: script.upsert,
+      scripted_upsert: script.scriptedUpsert
+    };
+
+    return [
+      { update: omitBy(description, isUndefined) },
+      { ...omitBy(body, isUndefined), script: omitBy(body.script, isUndefined) }
+    ];
+  }
+};
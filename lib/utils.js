@@ -2,6 +2,13 @@ const get = require('lodash/get');
 const joi = require('@hapi/joi');
 
 const errors = require('./errors');
+const schemas = require('./schemas');
+
+const TIME_VALUES = {
+  seconds: schemas.EPOCH_TIME,
+  millis: schemas.EPOCH_TIME,
+  iso: schemas.ISO_DATE
+};
 
 module.exports = {
   validate(value, schema, options) {
@@ -23,13 +30,17 @@ module.exports = {
     return validationResult.value;
   },
 
-  getField(parsedRecord, path) {
-    const value = [parsedRecord.Keys, parsedRecord.NewImage, parsedRecord.OldImage]
+  findField(parsedRecord, path) {
+    return [parsedRecord.Keys, parsedRecord.NewImage, parsedRecord.OldImage]
       .reduce((acc, entry) => {
         return acc === undefined
           ? get(entry, path)
           : acc;
       }, undefined);
+  },
+
+  getField(parsedRecord, path) {
+    const value = this.findField(parsedRecord, path);
 
     if (value === undefined) {
       throw new errors.FieldNotFoundError(parsedRecord, path);
@@ -38,6 +49,53 @@ module.exports = {
     return value;
   },
 
+  resolveTime(record, parsedRecord, field, format = 'seconds') {
+    if (!field) {
+      const { ApproximateCreationDateTime } = record.dynamodb;
+      this.validate(
+        ApproximateCreationDateTime,
+        schemas.EPOCH_TIME.required().label('ApproximateCreationDateTime')
+      );
+      return ApproximateCreationDateTime * 1000;
+    }
+
+    // Images are checked in order, so REMOVE records are resolved from the old image
+    const value = this.getField(parsedRecord, field);
+    this.validate(value, TIME_VALUES[format].label(field));
+
+    if (format === 'iso') {
+      return new Date(value).getTime();
+    }
+    return format === 'seconds' ? value * 1000 : value;
+  },
+
+  isTtlExpiration(record) {
+    // DynamoDB service is the principal of the REMOVE records produced by TTL
+    const { userIdentity } = record;
+    return record.eventName === 'REMOVE'
+      && Boolean(userIdentity)
+      && userIdentity.type === 'Service'
+      && userIdentity.principalId === 'dynamodb.amazonaws.com';
+  },
+
+  compareSequenceNumbers(a, b) {
+    // Sequence numbers are numeric strings that can exceed safe integer range,
+    // so they are compared by length first and lexicographically after that
+    return a.length - b.length || (a < b ? -1 : Number(a > b));
+  },
+
+  formatBatchItemFailures(failedRecords) {
+    // Lambda checkpoints DynamoDB Streams at the lowest reported sequence number and
+    // retries everything after it, so it is enough to report the earliest failed record
+    const sequenceNumbers = failedRecords
+      .map(record => record.dynamodb.SequenceNumber)
+      .sort(this.compareSequenceNumbers);
+
+    return {
+      batchItemFailures: sequenceNumbers.slice(0, 1).map(itemIdentifier => ({ itemIdentifier }))
+    };
+  },
+
   assembleField(parsedRecord, paths, separator) {
     if (Array.isArray(paths)) {
       return paths.map(path => this.getField(parsedRecord, path)).join(separator);
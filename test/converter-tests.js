@@ -0,0 +1,106 @@
+const chai = require('chai');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+
+const converter = require('../lib/converter');
+
+const expect = chai.expect;
+
+describe('converter', function() {
+  const streamRecord = {
+    Keys: { id: { N: '9007199254740993' } },
+    NewImage: {
+      id: { N: '9007199254740993' },
+      price: { N: '10.5' },
+      ratio: { N: '0.12345678901234567' },
+      tags: { SS: ['a', 'b'] },
+      scores: { NS: ['1', '12345678901234567890'] },
+      photo: { B: 'cGhvdG8=' },
+      thumbnails: { BS: [Buffer.from('small')] },
+      nested: {
+        M: {
+          list: { L: [{ B: Buffer.from('item') }, { N: '1' }, { NULL: true }] },
+          flag: { BOOL: true }
+        }
+      }
+    }
+  };
+
+  function convert(options) {
+    return converter.unmarshallRecord(streamRecord, options).NewImage;
+  }
+
+  it('should use DynamoDB converter when options are not provided', function() {
+    expect(converter.unmarshallRecord(streamRecord)).to.deep.equal(DynamoDB.Converter.unmarshall({
+      NewImage: { M: streamRecord.NewImage },
+      OldImage: { M: {} },
+      Keys: { M: streamRecord.Keys }
+    }));
+  });
+
+  it('should keep DynamoDB converter behavior for default policies', function() {
+    const image = convert({});
+
+    expect(image.id).to.equal(9007199254740992);
+    expect(image.tags).to.deep.equal(DynamoDB.Converter.output({ SS: ['a', 'b'] }));
+    expect(image.photo).to.deep.equal(Buffer.from('cGhvdG8='));
+    expect(image.nested).to.deep.equal({ list: [Buffer.from('item'), 1, null], flag: true });
+  });
+
+  describe('sets', function() {
+    it('should convert sets to arrays when policy is "array"', function() {
+      const image = convert({ sets: 'array' });
+
+      expect(image.tags).to.deep.equal(['a', 'b']);
+      expect(image.scores).to.deep.equal([1, 12345678901234567000]);
+      expect(image.thumbnails).to.deep.equal([Buffer.from('small')]);
+      expect(JSON.parse(JSON.stringify(image.tags))).to.deep.equal(['a', 'b']);
+    });
+
+    it('should apply number and binary policies to set items', function() {
+      const image = convert({ sets: 'array', numbers: 'safe', binary: 'drop' });
+
+      expect(image.scores).to.deep.equal([1, '12345678901234567890']);
+      expect(image).to.not.have.property('thumbnails');
+    });
+  });
+
+  describe('binary', function() {
+    it('should encode binary values to base64 when policy is "base64"', function() {
+      const image = convert({ binary: 'base64' });
+
+      expect(image.photo).to.equal('cGhvdG8=');
+      expect(image.nested.list[0]).to.equal(Buffer.from('item').toString('base64'));
+      expect(image.thumbnails).to.deep.equal(DynamoDB.Converter.output({
+        BS: [Buffer.from('small')]
+      }));
+    });
+
+    it('should drop binary values when policy is "drop"', function() {
+      const image = convert({ binary: 'drop' });
+
+      expect(image).to.not.have.property('photo');
+      expect(image.nested.list).to.deep.equal([1, null]);
+    });
+  });
+
+  describe('numbers', function() {
+    it('should convert numbers to strings when policy is "string"', function() {
+      const image = convert({ numbers: 'string' });
+
+      expect(image.id).to.equal('9007199254740993');
+      expect(image.price).to.equal('10.5');
+      expect(image.nested.list[1]).to.equal('1');
+    });
+
+    it('should keep only numbers that would lose precision as strings when policy is "safe"', function() {
+      const image = convert({ numbers: 'safe' });
+
+      expect(image.id).to.equal('9007199254740993');
+      expect(image.price).to.equal(10.5);
+      expect(image.ratio).to.equal('0.12345678901234567');
+      expect(image.nested.list[1]).to.equal(1);
+      expect(converter.unmarshallRecord(streamRecord, { numbers: 'safe' }).Keys)
+        .to.deep.equal({ id: '9007199254740993' });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const uuid = require('uuid');
+
+const lambdaHandler = require('../');
+
+const expect = chai.expect;
+
+const { FileSink, SqsSink } = lambdaHandler.deadLetter;
+const errors = lambdaHandler.errors;
+
+function formatErrorMessage(messages) {
+  return messages.join('. ');
+}
+
+function createEntries(count) {
+  return Array.from({ length: count }, () => ({
+    record: { eventName: 'INSERT', dynamodb: { Keys: { id: { S: uuid.v4() } } } },
+    action: null,
+    error: { name: 'FieldNotFoundError', message: '"foo" field not found in record' },
+    attempts: 0,
+    timestamp: new Date().toISOString()
+  }));
+}
+
+describe('dead letter sinks', function() {
+
+  describe('FileSink', function() {
+    let filePath;
+
+    beforeEach(function() {
+      filePath = path.join(os.tmpdir(), `d2es-dlq-${uuid.v4()}.jsonl`);
+    });
+
+    afterEach(function() {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    it('should throw when options are invalid', function() {
+      expect(() => new FileSink())
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"options" is required');
+
+      expect(() => new FileSink({ path: '' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "path" fails because ["path" is not allowed to be empty]');
+    });
+
+    it('should append entries as JSON lines', async function() {
+      const sink = new FileSink({ path: filePath });
+      const entries = createEntries(3);
+
+      await sink.send(entries.slice(0, 1));
+      await sink.send(entries.slice(1));
+
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      expect(lines).to.have.lengthOf(4);
+      expect(lines.pop()).to.equal('');
+      expect(lines.map(line => JSON.parse(line))).to.deep.equal(entries);
+    });
+
+    it('should read entries back', async function() {
+      const sink = new FileSink({ path: filePath });
+      const entries = createEntries(2);
+
+      await sink.send(entries);
+
+      expect(await sink.read()).to.deep.equal(entries);
+    });
+
+    it('should reject when file can not be read', function() {
+      const sink = new FileSink({ path: filePath });
+
+      return sink.read()
+        .then(() => expect.fail('should have been rejected'))
+        .catch(err => {
+          expect(err).to.have.property('code', 'ENOENT');
+        });
+    });
+
+    it('should reject when file can not be written', function() {
+      const sink = new FileSink({ path: path.join(filePath, 'missing', 'dlq.jsonl') });
+
+      return sink.send(createEntries(1))
+        .then(() => expect.fail('should have been rejected'))
+        .catch(err => {
+          expect(err).to.have.property('code', 'ENOENT');
+        });
+    });
+  });
+
+  describe('SqsSink', function() {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/dlq';
+
+    function createClient(result = {}) {
+      return {
+        sendMessageBatch: sinon.stub().returns({
+          promise: () => Promise.resolve(result)
+        })
+      };
+    }
+
+    it('should throw when options are invalid', function() {
+      expect(() => new SqsSink({ client: {} }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "client" fails because [child "sendMessageBatch" fails because ["sendMessageBatch" is required]]',
+          'child "queueUrl" fails because ["queueUrl" is required]'
+        ]));
+    });
+
+    it('should send entries in batches of 10 messages', async function() {
+      const client = createClient();
+      const sink = new SqsSink({ client, queueUrl });
+      const entries = createEntries(12);
+
+      await sink.send(entries);
+
+      expect(client.sendMessageBatch.callCount).to.equal(2);
+      expect(client.sendMessageBatch.firstCall.args[0]).to.have.property('QueueUrl', queueUrl);
+      expect(client.sendMessageBatch.firstCall.args[0].Entries).to.have.lengthOf(10);
+      expect(client.sendMessageBatch.secondCall.args[0].Entries).to.deep.equal([
+        { Id: '0', MessageBody: JSON.stringify(entries[10]) },
+        { Id: '1', MessageBody: JSON.stringify(entries[11]) }
+      ]);
+    });
+
+    it('should split batches that exceed 256 KB', async function() {
+      const client = createClient();
+      const sink = new SqsSink({ client, queueUrl });
+      const entries = createEntries(3).map(entry => ({
+        ...entry,
+        error: { ...entry.error, message: 'x'.repeat(100 * 1024) }
+      }));
+
+      await sink.send(entries);
+
+      expect(client.sendMessageBatch.callCount).to.equal(2);
+      expect(client.sendMessageBatch.firstCall.args[0].Entries).to.have.lengthOf(2);
+      expect(client.sendMessageBatch.secondCall.args[0].Entries).to.deep.equal([
+        { Id: '0', MessageBody: JSON.stringify(entries[2]) }
+      ]);
+    });
+
+    it('should drop action of entries that exceed 256 KB and reject the ones still too large', function() {
+      const client = createClient();
+      const sink = new SqsSink({ client, queueUrl });
+      const [small, withAction, tooLarge] = createEntries(3);
+      withAction.action = [{ index: { _index: 'index' } }, { text: 'x'.repeat(300 * 1024) }];
+      tooLarge.error.message = 'x'.repeat(300 * 1024);
+
+      return sink.send([small, withAction, tooLarge])
+        .then(() => expect.fail('should have been rejected'))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(errors.DeadLetterError)
+            .with.property('details').that.deep.equals([{
+              Id: null,
+              Code: 'MessageTooLong',
+              Message: 'dead letter entry exceeds 262144 bytes',
+              SenderFault: true
+            }]);
+          expect(client.sendMessageBatch.calledOnce).to.be.true;
+          expect(client.sendMessageBatch.firstCall.args[0].Entries).to.deep.equal([
+            { Id: '0', MessageBody: JSON.stringify(small) },
+            { Id: '1', MessageBody: JSON.stringify({ ...withAction, action: null }) }
+          ]);
+        });
+    });
+
+    it('should reject when some messages were not sent', function() {
+      const failed = [{ Id: '0', Code: 'InternalError', SenderFault: false }];
+      const sink = new SqsSink({ client: createClient({ Failed: failed }), queueUrl });
+
+      return sink.send(createEntries(1))
+        .then(() => expect.fail('should have been rejected'))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(errors.DeadLetterError)
+            .with.property('details', failed);
+        });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const chai = require('chai');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+const elasticsearch = require('elasticsearch');
+const lambdaTester = require('lambda-tester').noVersionCheck();
+const sinon = require('sinon');
+const uuid = require('uuid');
+
+const formatEvent = require('./utils/ddb-stream-event-formatter');
+const lambdaHandler = require('../');
+
+const expect = chai.expect;
+
+// Runs only when DynamoDB Local endpoint is provided (e.g. DYNAMODB_ENDPOINT=http://localhost:8000)
+const { DYNAMODB_ENDPOINT } = process.env;
+
+describe('enrich', function() {
+  before(function() {
+    if (!DYNAMODB_ENDPOINT) {
+      this.skip();
+    }
+  });
+
+  describe('DynamoDB Local', function() {
+    const clientOptions = {
+      endpoint: DYNAMODB_ENDPOINT,
+      region: 'local',
+      accessKeyId: 'local',
+      secretAccessKey: 'local'
+    };
+    const tableName = `d2es-customers-${uuid.v4()}`;
+    let dynamodb;
+    let documentClient;
+
+    before(async function() {
+      dynamodb = new DynamoDB(clientOptions);
+      documentClient = new DynamoDB.DocumentClient(clientOptions);
+
+      await dynamodb.createTable({
+        TableName: tableName,
+        KeySchema: [{ AttributeName: 'id', KeyType: 'HASH' }],
+        AttributeDefinitions: [{ AttributeName: 'id', AttributeType: 'S' }],
+        BillingMode: 'PAY_PER_REQUEST'
+      }).promise();
+
+      await documentClient.batchWrite({
+        RequestItems: {
+          [tableName]: [
+            { id: 'c-1', name: 'John', email: 'john@example.com' },
+            { id: 'c-2', name: 'Jane', email: 'jane@example.com' }
+          ].map(item => ({ PutRequest: { Item: item } }))
+        }
+      }).promise();
+    });
+
+    after(function() {
+      return dynamodb && dynamodb.deleteTable({ TableName: tableName }).promise();
+    });
+
+    it('should enrich documents with related items', function() {
+      const testEvent = formatEvent([
+        { keys: { id: 'order-1' }, new: { customerId: 'c-1', total: 10 } },
+        { keys: { id: 'order-2' }, new: { customerId: 'c-2', total: 20 } },
+        { keys: { id: 'order-3' }, new: { customerId: 'c-3', total: 30 } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'id',
+        pickFields: ['total', 'customer'],
+        enrich: {
+          client: documentClient,
+          lookups: [{
+            table: tableName,
+            key: { id: 'customerId' },
+            attributes: ['name'],
+            path: 'customer'
+          }]
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.deep.equal([
+            { index: { _index: 'orders', _id: 'order-1' } },
+            { total: 10, customer: { name: 'John' } },
+            { index: { _index: 'orders', _id: 'order-2' } },
+            { total: 20, customer: { name: 'Jane' } },
+            { index: { _index: 'orders', _id: 'order-3' } },
+            { total: 30 }
+          ]);
+        });
+    });
+  });
+});
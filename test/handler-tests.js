@@ -1,5 +1,7 @@
 const chai = require('chai');
 const chaiSubset = require('chai-subset');
+const crypto = require('crypto');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
 const elasticsearch = require('elasticsearch');
 const lambdaTester = require('lambda-tester').noVersionCheck();
 const sinon = require('sinon');
@@ -49,7 +51,7 @@ describe('handler', function() {
           'child "elasticsearch" fails because [child "client" fails because ["client" is required]]',
           '"es" is not allowed',
           '"options" contains a conflict between optional exclusive peers [idField, idResolver]',
-          '"options" contains a conflict between optional exclusive peers [versionField, versionResolver]',
+          '"options" contains a conflict between optional exclusive peers [versionField, versionResolver, versionStrategy]',
           '"options" contains a conflict between exclusive peers [index, indexField]',
           '"options" contains a conflict between optional exclusive peers [type, typeField]',
           '"index" conflict with forbidden peer "indexPrefix"',
@@ -276,6 +278,7 @@ describe('handler', function() {
                     Keys: testItemKeys,
                     NewImage: { ...testItemKeys, ...testItemData },
                     OldImage: {},
+                    SequenceNumber: testEvent.Records[0].dynamodb.SequenceNumber,
                     StreamViewType: testEvent.Records[0].dynamodb.StreamViewType
                   }
                 },
@@ -986,6 +989,286 @@ describe('handler', function() {
     });
   });
 
+  describe('routing', function() {
+    it('should throw when routing options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        routingField: 'tenant',
+        routingResolver: () => {}
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"options" contains a conflict between optional exclusive peers [routingField, routingResolver]');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        parentField: 'questionId',
+        join: { parentField: 'questionId' }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "join" fails because [child "name" fails because ["name" is required]]. "join" conflict with forbidden peer "parentField"');
+    });
+
+    it('should set routing of index and delete actions', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { id: '1' }, new: { tenant: 't-1', region: 'eu' } },
+        { name: 'REMOVE', keys: { id: '2' }, old: { tenant: 't-2', region: 'us' } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        routingField: ['tenant', 'region'],
+        separator: ':'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: '1', routing: 't-1:eu' } },
+            { id: '1', tenant: 't-1', region: 'eu' },
+            { delete: { _index: 'index', _id: '2', routing: 't-2:us' } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should validate routing returned by "routingResolver"', function() {
+      const testEvent = formatEvent({ name: 'INSERT', keys: { id: '1' } });
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        routingResolver: () => undefined
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err)
+            .to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', '"resolved routing" is required');
+        });
+    });
+
+    it('should write join field and route children to their parent', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { id: 'q-1' }, new: { title: 'Question' } },
+        { name: 'INSERT', keys: { id: 'a-1' }, new: { questionId: 'q-1', text: 'Answer' } },
+        { name: 'REMOVE', keys: { id: 'a-2' }, old: { questionId: 'q-1', text: 'Answer' } },
+        { name: 'INSERT', keys: { id: 'c-1' }, new: { answerId: 'a-1', questionId: 'q-1' } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: [
+          {
+            match: { field: 'id', prefix: 'q-' },
+            index: 'qa',
+            pickFields: 'title',
+            join: { name: 'question' }
+          },
+          {
+            match: { field: 'id', prefix: 'a-' },
+            index: 'qa',
+            pickFields: 'text',
+            join: { field: 'relation', name: 'answer', parentField: 'questionId' }
+          },
+          {
+            match: { field: 'id', prefix: 'c-' },
+            index: 'qa',
+            pickFields: [],
+            // Grandchildren are routed to the root of the hierarchy
+            routingResolver: doc => doc.questionId,
+            join: { name: 'comment', parentField: 'answerId' }
+          }
+        ].map(entity => ({ ...entity, pickFields: [].concat(entity.pickFields, 'questionId') }))
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'qa', _id: 'q-1' } },
+            { title: 'Question', join_field: { name: 'question' } },
+            { index: { _index: 'qa', _id: 'a-1', routing: 'q-1' } },
+            {
+              questionId: 'q-1',
+              text: 'Answer',
+              relation: { name: 'answer', parent: 'q-1' }
+            },
+            { delete: { _index: 'qa', _id: 'a-2', routing: 'q-1' } },
+            { index: { _index: 'qa', _id: 'c-1', routing: 'q-1' } },
+            { questionId: 'q-1', join_field: { name: 'comment', parent: 'a-1' } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+  });
+
+  describe('pipeline', function() {
+    it('should throw when pipeline options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        pipeline: 'geoip',
+        pipelineField: 'pipeline'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"options" contains a conflict between optional exclusive peers [pipeline, pipelineField, pipelineResolver]');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        pipeline: 'geoip',
+        updateMode: 'full'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"updateMode" conflict with forbidden peer "pipeline"');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        pipelineResolver: () => 'geoip',
+        collection: {
+          match: { field: 'SK', prefix: 'LINE#' },
+          field: 'lines',
+          childIdField: 'SK'
+        }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"collection" conflict with forbidden peer "pipelineResolver"');
+    });
+
+    it('should set pipeline of index actions only', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { id: '1' } },
+        { name: 'REMOVE', keys: { id: '2' } },
+        { name: 'REMOVE', keys: { id: '3' } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search', pipeline: 'normalize' },
+          {
+            index: 'archive',
+            pipeline: 'normalize',
+            removeMode: 'soft',
+            tombstone: { timestampField: null }
+          }
+        ]
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body.filter((line, index) => index !== 1 && index !== 3))
+            .to.deep.equal([
+              { index: { _index: 'search', _id: '1', pipeline: 'normalize' } },
+              { index: { _index: 'archive', _id: '1', pipeline: 'normalize' } },
+              { delete: { _index: 'search', _id: '2' } },
+              { index: { _index: 'archive', _id: '2', pipeline: 'normalize' } },
+              { id: '2', deleted: true },
+              { delete: { _index: 'search', _id: '3' } },
+              { index: { _index: 'archive', _id: '3', pipeline: 'normalize' } },
+              { id: '3', deleted: true }
+            ]);
+        });
+    });
+
+    it('should resolve pipeline of every record', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { id: '1' }, new: { type: 'visit', pipeline: 'geoip' } },
+        { name: 'INSERT', keys: { id: '2' }, new: { type: 'comment', pipeline: 'text' } },
+        { name: 'INSERT', keys: { id: '3' }, new: { type: 'order', pipeline: 'none' } }
+      ].map(record => ({ ...record, creationTime: 1600000000 })));
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'events', pipelineField: 'pipeline', pickFields: 'type' },
+          {
+            index: 'logs',
+            pickFields: 'type',
+            dataStream: {},
+            pipelineResolver: doc => (doc.type !== 'order' ? `${doc.type}-logs` : null)
+          }
+        ]
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const descriptions = stub.firstCall.args[0].body
+            .filter((line, index) => index % 2 === 0)
+            .map(line => line.index || line.create);
+
+          expect(descriptions.map(description => description.pipeline)).to.deep.equal([
+            'geoip',
+            'visit-logs',
+            'text',
+            'comment-logs',
+            'none',
+            undefined
+          ]);
+        });
+    });
+
+    it('should validate pipeline returned by "pipelineResolver"', function() {
+      const testEvent = formatEvent({ name: 'INSERT', keys: { id: '1' } });
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        pipelineResolver: () => 1
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err)
+            .to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', '"resolved pipeline" must be a string');
+        });
+    });
+  });
+
   describe('pickFields', function() {
     it('should use "pickFields" when provided (single field)', function() {
       const testDoc = {
@@ -1837,4 +2120,3889 @@ describe('handler', function() {
         });
     });
   });
+
+  describe('bulk item failures', function() {
+    function formatItem(id, status, error) {
+      return {
+        index: {
+          _index: 'index',
+          _id: id,
+          status,
+          ...(error ? { error } : {})
+        }
+      };
+    }
+
+    it('should resend only actions that failed with retryable errors', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const rejectedError = { type: 'es_rejected_execution_exception', reason: 'queue is full' };
+      let hookResult;
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        retryOptions: {
+          retries: 2,
+          minTimeout: 0
+        },
+        afterHook: (event, context, result, meta) => {
+          hookResult = result;
+          hookMeta = meta;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk');
+      stub.onFirstCall().resolves({
+        took: 3,
+        errors: true,
+        items: [
+          formatItem(testKeys[0].id, 429, rejectedError),
+          formatItem(testKeys[1].id, 201),
+          formatItem(testKeys[2].id, 503, { type: 'unavailable_shards_exception', reason: 'no shards' })
+        ]
+      });
+      stub.onSecondCall().resolves({
+        took: 2,
+        errors: true,
+        items: [
+          formatItem(testKeys[0].id, 201),
+          formatItem(testKeys[2].id, 429, rejectedError)
+        ]
+      });
+      stub.onThirdCall().resolves({
+        took: 1,
+        errors: false,
+        items: [
+          formatItem(testKeys[2].id, 201)
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.callCount).to.equal(3);
+          expect(stub.secondCall.args[0].body).to.deep.equal([
+            { index: { _index: 'index', _id: testKeys[0].id } },
+            testKeys[0],
+            { index: { _index: 'index', _id: testKeys[2].id } },
+            testKeys[2]
+          ]);
+          expect(stub.thirdCall.args[0].body).to.deep.equal([
+            { index: { _index: 'index', _id: testKeys[2].id } },
+            testKeys[2]
+          ]);
+          expect(hookResult).to.deep.equal({
+            took: 6,
+            errors: false,
+            items: testKeys.map(keys => formatItem(keys.id, 201))
+          });
+          hookMeta.forEach(entry => expect(entry).to.not.have.property('error'));
+        });
+    });
+
+    it('should support responses of @elastic/elasticsearch client', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const rejectedError = { type: 'es_rejected_execution_exception', reason: 'queue is full' };
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        retryOptions: {
+          retries: 1,
+          minTimeout: 0
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk');
+      stub.onFirstCall().resolves({
+        statusCode: 200,
+        body: {
+          took: 3,
+          errors: true,
+          items: [
+            formatItem(testKeys[0].id, 201),
+            formatItem(testKeys[1].id, 429, rejectedError)
+          ]
+        }
+      });
+      stub.onSecondCall().resolves({
+        statusCode: 200,
+        body: {
+          took: 2,
+          errors: false,
+          items: [
+            formatItem(testKeys[1].id, 201)
+          ]
+        }
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.equal(2);
+          expect(result).to.deep.equal({
+            statusCode: 200,
+            body: {
+              took: 5,
+              errors: false,
+              items: testKeys.map(keys => formatItem(keys.id, 201))
+            }
+          });
+        });
+    });
+
+    it('should not resend actions that failed with permanent errors and should report them in meta', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const testResult = {
+        took: 1,
+        errors: true,
+        items: [
+          formatItem(testKeys[0].id, 400, {
+            type: 'mapper_parsing_exception',
+            reason: 'failed to parse field [id]'
+          }),
+          formatItem(testKeys[1].id, 201)
+        ]
+      };
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        retryOptions: {
+          retries: 2,
+          minTimeout: 0
+        },
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true;
+          expect(result).to.deep.equal(testResult);
+          expect(meta[0].error)
+            .to.be.an.instanceOf(errors.BulkItemError)
+            .and.to.include({
+              message: '"index" action failed with status 400: failed to parse field [id]',
+              status: 400,
+              type: 'mapper_parsing_exception',
+              reason: 'failed to parse field [id]',
+              attempts: 1,
+              retryable: false
+            });
+          expect(meta[0].error.details).to.deep.equal(testResult.items[0]);
+          expect(meta[1]).to.not.have.property('error');
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves(testResult);
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.true;
+          expect(hookCalled).to.be.true;
+        });
+    });
+
+    it('should report actions that still fail with retryable errors when retries are exhausted', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({ name: 'INSERT', keys: testKeys });
+      const testItem = formatItem(testKeys.id, 429, {
+        type: 'es_rejected_execution_exception',
+        reason: 'queue is full'
+      });
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        retryOptions: {
+          retries: 1,
+          minTimeout: 0
+        },
+        afterHook: (event, context, result, meta) => {
+          hookCalled = true;
+          expect(result).to.deep.equal({ took: 2, errors: true, items: [testItem] });
+          expect(meta[0].error)
+            .to.be.an.instanceOf(errors.BulkItemError)
+            .and.to.include({
+              status: 429,
+              type: 'es_rejected_execution_exception',
+              attempts: 2,
+              retryable: true
+            });
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves({ took: 1, errors: true, items: [testItem] });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.callCount).to.equal(2);
+          expect(hookCalled).to.be.true;
+        });
+    });
+  });
+
+  describe('reportBatchItemFailures', function() {
+    it('should report the earliest record that failed to be processed', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', new: { index: 'index' }, sequenceNumber: '300000000000000000001' },
+        { name: 'INSERT', sequenceNumber: '1000000000000000000002' },
+        { name: 'INSERT', sequenceNumber: '900000000000000000003' },
+        { name: 'INSERT', new: { index: 'index' }, sequenceNumber: '900000000000000000004' }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'index',
+        reportBatchItemFailures: true
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.calledOnce).to.be.true;
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(4);
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: '900000000000000000003' }]
+          });
+        });
+    });
+
+    it('should report the earliest record which action failed', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const testError = { type: 'mapper_parsing_exception', reason: 'failed to parse' };
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        reportBatchItemFailures: true
+      });
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [
+          { index: { _id: testKeys[0].id, status: 201 } },
+          { index: { _id: testKeys[1].id, status: 400, error: testError } },
+          { index: { _id: testKeys[2].id, status: 400, error: testError } }
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: testEvent.Records[1].dynamodb.SequenceNumber }]
+          });
+        });
+    });
+
+    it('should return empty list when all the records were processed', function() {
+      const testEvent = formatEvent([{ name: 'INSERT' }, { name: 'REMOVE' }]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        reportBatchItemFailures: true
+      });
+
+      sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({ batchItemFailures: [] });
+        });
+    });
+
+    it('should report failed records when no actions were sent and call "recordErrorHook"', function() {
+      const testEvent = formatEvent();
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'foo',
+        reportBatchItemFailures: true,
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true;
+          expect(err).to.be.an.instanceOf(errors.FieldNotFoundError);
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk').never();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          mock.verify();
+          expect(hookCalled).to.be.true;
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: testEvent.Records[0].dynamodb.SequenceNumber }]
+          });
+        });
+    });
+
+    it('should pass bulk result to "afterHook"', function() {
+      const testEvent = formatEvent();
+      const testResult = { took: 1, errors: false, items: [{ index: { status: 201 } }] };
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        reportBatchItemFailures: true,
+        afterHook: (event, context, result) => {
+          hookCalled = true;
+          expect(result).to.deep.equal(testResult);
+        }
+      });
+
+      sinon.stub(client, 'bulk').resolves(testResult);
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(hookCalled).to.be.true;
+          expect(result).to.deep.equal({ batchItemFailures: [] });
+        });
+    });
+
+    it('should throw when record does not have sequence number', function() {
+      const testEvent = formatEvent();
+      delete testEvent.Records[0].dynamodb.SequenceNumber;
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        reportBatchItemFailures: true
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', 'child "Records" fails because ["Records" at position 0 fails because [child "dynamodb" fails because [child "SequenceNumber" fails because ["SequenceNumber" is required]]]]');
+        });
+    });
+  });
+
+  describe('deadLetter', function() {
+    function createSink() {
+      const entries = [];
+      return {
+        entries,
+        send: async batch => {
+          entries.push(...batch);
+        }
+      };
+    }
+
+    it('should send records that failed to be processed to the sink and should not throw', function() {
+      const testEvent = formatEvent([{ name: 'INSERT' }, { name: 'INSERT', new: { index: 'index' } }]);
+      const sink = createSink();
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'index',
+        deadLetter: sink,
+        recordErrorHook: () => {
+          hookCalled = true;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.calledOnce).to.be.true;
+          expect(hookCalled).to.be.true;
+          expect(sink.entries).to.have.lengthOf(1);
+          expect(sink.entries[0]).to.deep.include({
+            record: testEvent.Records[0],
+            action: null,
+            error: {
+              name: 'FieldNotFoundError',
+              message: '"index" field not found in record',
+              status: undefined,
+              type: undefined,
+              reason: undefined
+            },
+            attempts: 0
+          });
+          expect(sink.entries[0]).to.have.property('timestamp').that.is.a('string');
+        });
+    });
+
+    it('should send records which actions failed to the sink', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const sink = createSink();
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        deadLetter: sink
+      });
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [
+          { index: { _id: testKeys[0].id, status: 201 } },
+          {
+            index: {
+              _id: testKeys[1].id,
+              status: 400,
+              error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+            }
+          }
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(sink.entries).to.have.lengthOf(1);
+          expect(sink.entries[0]).to.deep.include({
+            record: testEvent.Records[1],
+            action: [
+              { index: { _index: 'index', _id: testKeys[1].id } },
+              testKeys[1]
+            ],
+            error: {
+              name: 'BulkItemError',
+              message: '"index" action failed with status 400: failed to parse',
+              status: 400,
+              type: 'mapper_parsing_exception',
+              reason: 'failed to parse'
+            },
+            attempts: 1
+          });
+        });
+    });
+
+    it('should not report dead-lettered records as batch item failures', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      const sink = createSink();
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        deadLetter: sink,
+        reportBatchItemFailures: true
+      });
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [
+          {
+            index: {
+              _id: testKeys[0].id,
+              status: 400,
+              error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+            }
+          },
+          {
+            index: {
+              _id: testKeys[1].id,
+              status: 429,
+              error: { type: 'es_rejected_execution_exception', reason: 'queue is full' }
+            }
+          },
+          { index: { _id: testKeys[2].id, status: 201 } }
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(sink.entries).to.have.lengthOf(1);
+          expect(sink.entries[0].record).to.deep.equal(testEvent.Records[0]);
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: testEvent.Records[1].dynamodb.SequenceNumber }]
+          });
+        });
+    });
+
+    it('should throw when sink fails', function() {
+      const testEvent = formatEvent();
+      const testError = new Error('sink is not available');
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        indexField: 'index',
+        deadLetter: {
+          send: () => Promise.reject(testError)
+        }
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err).to.equal(testError);
+        });
+    });
+
+    it('should throw when sink is invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        deadLetter: {}
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "deadLetter" fails because [child "send" fails because ["send" is required]]');
+    });
+  });
+
+  describe('bulk request splitting', function() {
+    function formatItems(params) {
+      return params.body
+        .filter(line => line.index)
+        .map(line => ({ index: { _id: line.index._id, status: 201 } }));
+    }
+
+    it('should throw when splitting options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        maxBulkBytes: 0,
+        maxBulkActions: 1.5,
+        bulkConcurrency: '2'
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "maxBulkBytes" fails because ["maxBulkBytes" must be larger than or equal to 1]',
+          'child "maxBulkActions" fails because ["maxBulkActions" must be an integer]',
+          'child "bulkConcurrency" fails because ["bulkConcurrency" must be a number]'
+        ]));
+    });
+
+    it('should split actions by count and merge results in original order', function() {
+      const testKeys = Array.from({ length: 5 }, () => ({ id: uuid.v4() }));
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      let hookResult;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 2,
+        afterHook: (event, context, result) => {
+          hookResult = result;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').callsFake(params => {
+        return Promise.resolve({ took: 2, errors: false, items: formatItems(params) });
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.equal(3);
+          expect(stub.args.map(args => args[0].body.length)).to.deep.equal([4, 4, 2]);
+          expect(result).to.deep.equal(hookResult);
+          expect(result).to.deep.equal({
+            took: 6,
+            errors: false,
+            items: testKeys.map(keys => ({ index: { _id: keys.id, status: 201 } }))
+          });
+        });
+    });
+
+    it('should split actions by size without separating action from its document', function() {
+      const testKeys = Array.from({ length: 3 }, () => ({ id: uuid.v4() }));
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys[0], new: { data: 'x'.repeat(50) } },
+        { name: 'INSERT', keys: testKeys[1], new: { data: 'x'.repeat(500) } },
+        { name: 'REMOVE', keys: testKeys[2] }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkBytes: 300
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.callCount).to.equal(3);
+          expect(stub.args.map(args => args[0].body.length)).to.deep.equal([2, 2, 1]);
+          expect(stub.secondCall.args[0].body[1]).to.have.property('data', 'x'.repeat(500));
+          expect(stub.thirdCall.args[0].body).to.deep.equal([
+            { delete: { _index: 'index', _id: testKeys[2].id } }
+          ]);
+        });
+    });
+
+    it('should send chunks with limited concurrency', function() {
+      const testEvent = formatEvent(Array.from({ length: 6 }, () => ({ name: 'INSERT' })));
+      let active = 0;
+      let maxActive = 0;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 1,
+        bulkConcurrency: 2
+      });
+
+      const stub = sinon.stub(client, 'bulk').callsFake(params => {
+        active++;
+        maxActive = Math.max(active, maxActive);
+        return new Promise(resolve => setTimeout(resolve, 5))
+          .then(() => {
+            active--;
+            return { took: 1, errors: false, items: formatItems(params) };
+          });
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.equal(6);
+          expect(maxActive).to.equal(2);
+          expect(result.items).to.have.lengthOf(6);
+        });
+    });
+
+    it('should retry failed actions within their chunk and report failures in meta', function() {
+      const testKeys = Array.from({ length: 4 }, () => ({ id: uuid.v4() }));
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 2,
+        retryOptions: {
+          retries: 1,
+          minTimeout: 0
+        },
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').callsFake(params => {
+        const items = formatItems(params);
+        if (params.body[0].index._id === testKeys[2].id) {
+          items[1] = {
+            index: {
+              _id: testKeys[3].id,
+              status: 400,
+              error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+            }
+          };
+        }
+        return Promise.resolve({ took: 1, errors: false, items });
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(stub.callCount).to.equal(2);
+          expect(result.errors).to.be.true;
+          expect(hookMeta.map(entry => !!entry.error)).to.deep.equal([false, false, false, true]);
+        });
+    });
+
+    it('should throw when chunk fails', function() {
+      const testEvent = formatEvent([{ name: 'INSERT' }, { name: 'INSERT' }]);
+      const testError = new Error('Request Entity Too Large');
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        maxBulkActions: 1
+      });
+
+      const stub = sinon.stub(client, 'bulk');
+      stub.onFirstCall().rejects(testError);
+      stub.onSecondCall().resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(stub.calledOnce).to.be.true;
+          expect(err).to.equal(testError);
+        });
+    });
+  });
+
+  describe('coalesce', function() {
+    it('should send only the latest change of each document', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent([
+        ['INSERT', 0, 1, '100'],
+        ['INSERT', 1, 1, '101'],
+        ['MODIFY', 0, 3, '103'],
+        ['MODIFY', 0, 2, '102']
+      ].map(([name, key, v, sequenceNumber]) => {
+        return {
+          name,
+          keys: testKeys[key],
+          new: { v },
+          sequenceNumber
+        };
+      }));
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        coalesce: true,
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: testKeys[1].id } },
+            { ...testKeys[1], v: 1 },
+            { index: { _index: 'index', _id: testKeys[0].id } },
+            { ...testKeys[0], v: 3 }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta).to.have.lengthOf(2);
+          expect(hookMeta[0]).to.not.have.property('coalesced');
+          expect(hookMeta[1].event.dynamodb.SequenceNumber).to.equal('103');
+          expect(hookMeta[1].coalesced.map(event => event.dynamodb.SequenceNumber))
+            .to.deep.equal(['100', '102']);
+        });
+    });
+
+    it('should send a single "delete" action when document was created and removed', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys },
+        { name: 'REMOVE', keys: testKeys }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        coalesce: true
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { delete: { _index: 'index', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should not coalesce changes of documents in different indices', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys, new: { index: 'a' } },
+        { name: 'INSERT', keys: testKeys, new: { index: 'b' } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexField: 'index',
+        coalesce: true
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(4);
+        });
+    });
+
+    it('should report the earliest coalesced record as batch item failure', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys, sequenceNumber: '200' },
+        { name: 'MODIFY', keys: testKeys, sequenceNumber: '201' }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        coalesce: true,
+        reportBatchItemFailures: true
+      });
+
+      sinon.stub(client, 'bulk').resolves({
+        took: 1,
+        errors: true,
+        items: [{
+          index: {
+            _id: testKeys.id,
+            status: 400,
+            error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+          }
+        }]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({ batchItemFailures: [{ itemIdentifier: '200' }] });
+        });
+    });
+
+    it('should not allow to coalesce partial updates', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        updateMode: 'changed',
+        coalesce: true
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "coalesce" fails because ["coalesce" must be one of [false]]');
+    });
+  });
+
+  describe('updateMode', function() {
+    it('should throw when update options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({ ...testOptions, updateMode: 'partial', versionField: 'v' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "updateMode" fails because ["updateMode" must be one of [changed, full]]',
+          '"updateMode" conflict with forbidden peer "versionField"'
+        ]));
+
+      expect(() => lambdaHandler({ ...testOptions, updateMode: 'full', removedFields: 'null' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "removedFields" fails because ["removedFields" is not allowed]');
+
+      expect(() => lambdaHandler({ ...testOptions, removedFields: 'null' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"removedFields" missing required peer "updateMode"');
+    });
+
+    it('should send the whole document as upsert when "updateMode" is "full"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: { a: 1, b: 2 },
+        old: { a: 1, c: 3 }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'full'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'index', _id: testKeys.id } },
+            { doc: { ...testKeys, a: 1, b: 2 }, doc_as_upsert: true }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should send only changed fields and set removed ones to null when "updateMode" is "changed"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: { a: 1, b: { c: 2 }, d: 4 },
+        old: { a: 1, b: { c: 1 }, e: 5 }
+      });
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'changed',
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'index', _id: testKeys.id } },
+            {
+              doc: { b: { c: 2 }, d: 4, e: null },
+              upsert: {
+                ...testKeys,
+                a: 1,
+                b: { c: 2 },
+                d: 4
+              }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta[0].action).to.deep.equal({ update: { _index: 'index', _id: testKeys.id } });
+          expect(hookMeta[0].document).to.deep.equal({
+            ...testKeys,
+            a: 1,
+            b: { c: 2 },
+            d: 4
+          });
+        });
+    });
+
+    it('should compare images before "transformRecordHook" when "updateMode" is "changed"', function() {
+      const newImage = { a: 1, n: 2, secret: 'x' };
+      const oldImage = {
+        a: 1,
+        n: 1,
+        secret: 'y',
+        gone: true
+      };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: { id: '1' },
+        new: newImage,
+        old: oldImage
+      });
+      const hookCalls = [];
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'changed',
+        transformRecordHook: (doc, old) => {
+          hookCalls.push([{ ...doc }, old]);
+          // Changes made in place do not affect the comparison
+          delete doc.secret; // eslint-disable-line no-param-reassign
+          return { ...doc, label: `n${doc.n}` };
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'index', _id: '1' } },
+            {
+              doc: { n: 2, label: 'n2', gone: null },
+              upsert: {
+                id: '1',
+                a: 1,
+                n: 2,
+                label: 'n2'
+              }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookCalls).to.deep.equal([[{ id: '1', ...newImage }, { id: '1', ...oldImage }]]);
+        });
+    });
+
+    it('should remove fields using script when "removedFields" is "script"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: { a: 2, b: 2 },
+        old: { a: 1, b: 2, c: 3 }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'changed',
+        removedFields: 'script'
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[1]).to.containSubset({
+            script: {
+              lang: 'painless',
+              params: {
+                doc: { a: 2 },
+                removed: ['c']
+              }
+            },
+            upsert: { ...testKeys, a: 2, b: 2 }
+          });
+          expect(stub.firstCall.args[0].body[1].script.source).to.include('ctx._source.remove(field)');
+        });
+    });
+
+    it('should compare picked fields only', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: { a: 2, b: 2 },
+        old: { a: 1, c: 3 }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        pickFields: ['a', 'b'],
+        updateMode: 'changed'
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[1]).to.deep.equal({
+            doc: { a: 2, b: 2 },
+            upsert: { a: 2, b: 2 }
+          });
+        });
+    });
+
+    it('should send "update" action for "INSERT" event and "delete" action for "REMOVE" event', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: testKeys[0], new: { a: 1 } },
+        { name: 'REMOVE', keys: testKeys[1] }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        updateMode: 'changed'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'index', _id: testKeys[0].id } },
+            { doc: { ...testKeys[0], a: 1 }, upsert: { ...testKeys[0], a: 1 } },
+            { delete: { _index: 'index', _id: testKeys[1].id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+  });
+
+  describe('scriptResolver', function() {
+    it('should send scripted updates along with record actions', function() {
+      const testKeys = { orderId: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'INSERT',
+        keys: testKeys,
+        new: { customerId: 'c1', total: 10 }
+      });
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        scriptResolver: async (record, old, eventName) => {
+          expect(eventName).to.equal('INSERT');
+          expect(old).to.deep.equal({});
+          return {
+            index: 'customers',
+            id: record.customerId,
+            source: 'ctx._source.orders += params.count',
+            params: { count: 1 },
+            upsert: { orders: 1 },
+            retryOnConflict: 3
+          };
+        },
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: testKeys.orderId } },
+            { ...testKeys, customerId: 'c1', total: 10 },
+            { update: { _index: 'customers', _id: 'c1', retry_on_conflict: 3 } },
+            {
+              script: {
+                source: 'ctx._source.orders += params.count',
+                lang: 'painless',
+                params: { count: 1 }
+              },
+              upsert: { orders: 1 }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta).to.have.lengthOf(2);
+          expect(hookMeta[1]).to.have.property('script').that.includes({ id: 'c1' });
+          expect(hookMeta[1].action).to.deep.equal({
+            update: { _index: 'customers', _id: 'c1', retry_on_conflict: 3 }
+          });
+        });
+    });
+
+    it('should support multiple scripts and default to the record index', function() {
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        old: { customerId: 'c1', storeId: 's1' }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        transformRecordHook: () => null,
+        scriptResolver: (record, old) => [
+          { id: old.customerId, source: 'ctx._source.orders -= 1', scriptedUpsert: true },
+          { id: old.storeId, type: 'store', source: 'ctx._source.orders -= 1' }
+        ]
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'orders', _id: 'c1' } },
+            { script: { source: 'ctx._source.orders -= 1', lang: 'painless' }, scripted_upsert: true },
+            { update: { _index: 'orders', _type: 'store', _id: 's1' } },
+            { script: { source: 'ctx._source.orders -= 1', lang: 'painless' } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should not send anything when resolver returns nothing', function() {
+      const testEvent = formatEvent({ name: 'INSERT' });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        transformRecordHook: () => null,
+        scriptResolver: () => undefined
+      });
+
+      const mock = sinon.mock(client).expects('bulk').never();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should not coalesce scripted updates', function() {
+      const testEvent = formatEvent([{ name: 'INSERT' }, { name: 'INSERT' }]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        coalesce: true,
+        scriptResolver: () => ({ id: 'total', source: 'ctx._source.count++' })
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(8);
+        });
+    });
+
+    it('should not send any actions of a record when resolved script is invalid', function() {
+      const testEvent = formatEvent({ name: 'INSERT' });
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        scriptResolver: () => ({ source: 'ctx._source.count++' }),
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true;
+          expect(err).to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', 'child "id" fails because ["id" is required]');
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk').never();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookCalled).to.be.true;
+        });
+    });
+    it('should require script index when record matches no entity', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { PK: 'ORDER#1' } },
+        { name: 'INSERT', keys: { PK: 'ORDER#2' } }
+      ]);
+      const scripts = [
+        { id: 'total', source: 'ctx._source.count++' },
+        { id: 'total', index: 'stats', source: 'ctx._source.count++' }
+      ];
+      let hookError;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: [
+          { match: { field: 'PK', prefix: 'USER#' }, index: 'users', idField: 'PK' }
+        ],
+        scriptResolver: record => (record.PK === 'ORDER#1' ? scripts[0] : scripts[1]),
+        recordErrorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'stats', _id: 'total' } },
+            { script: { source: 'ctx._source.count++', lang: 'painless' } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookError).to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', 'child "index" fails because ["index" is required]');
+        });
+    });
+  });
+
+  describe('targets', function() {
+    it('should throw when targets are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        targets: [
+          { name: 'search' },
+          { index: 'autocomplete', indexField: 'index', versionField: 'v' }
+        ]
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "targets" fails because ["targets" at position 0 fails because ["value" must contain at least one of [index, indexField]], "targets" at position 1 fails because ["value" contains a conflict between exclusive peers [index, indexField]]]',
+          '"targets" conflict with forbidden peer "index"'
+        ]));
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        index: undefined,
+        targets: [{ index: 'search', versionField: 'v' }],
+        updateMode: 'full'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "targets" fails because ["targets" at position 0 fails because [child "versionField" fails because ["versionField" is not allowed]]]');
+
+      expect(() => lambdaHandler({ ...testOptions, index: undefined, targets: [] }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "targets" fails because ["targets" must contain at least 1 items]');
+    });
+
+    it('should send an action for each target', function() {
+      const testKeys = { id: uuid.v4() };
+      const testDoc = { name: 'John', bio: 'Long story', version: 3 };
+      const testEvent = formatEvent({ name: 'INSERT', keys: testKeys, new: testDoc });
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          {
+            index: 'search',
+            versionField: 'version'
+          },
+          {
+            name: 'autocomplete',
+            indexPrefix: 'autocomplete-',
+            indexField: 'version',
+            idResolver: doc => `user-${doc.id}`,
+            pickFields: ['id', 'name'],
+            transformRecordHook: doc => ({ ...doc, suggest: doc.name.toLowerCase() })
+          }
+        ],
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            {
+              index: {
+                _index: 'search',
+                _id: testKeys.id,
+                version: 3,
+                versionType: 'external'
+              }
+            },
+            { ...testKeys, ...testDoc },
+            { index: { _index: 'autocomplete-3', _id: `user-${testKeys.id}` } },
+            { ...testKeys, name: 'John', suggest: 'john' }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta.map(entry => entry.target)).to.deep.equal(['search', 'autocomplete']);
+          expect(hookMeta[1].document).to.deep.equal({ ...testKeys, name: 'John', suggest: 'john' });
+        });
+    });
+
+    it('should send "delete" action for each target', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [{ index: 'search' }, { index: 'autocomplete' }]
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { delete: { _index: 'search', _id: testKeys.id } },
+            { delete: { _index: 'autocomplete', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should skip only the target which transform hook does not return document', function() {
+      const testEvent = formatEvent({ name: 'INSERT' });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search' },
+          { index: 'autocomplete', transformRecordHook: () => null }
+        ]
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(2);
+          expect(stub.firstCall.args[0].body[0]).to.have.nested.property('index._index', 'search');
+        });
+    });
+
+    it('should not send any actions of a record when one of the targets fails', function() {
+      const testEvent = formatEvent({ name: 'INSERT' });
+      let hookCalled = false;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search' },
+          { indexField: 'missing' }
+        ],
+        recordErrorHook: (event, context, err) => {
+          hookCalled = true;
+          expect(err).to.be.an.instanceOf(errors.FieldNotFoundError);
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk').never();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookCalled).to.be.true;
+        });
+    });
+  });
+
+  describe('removeMode', function() {
+    it('should throw when remove options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        removeMode: 'hard',
+        tombstone: { fields: 1, timestampField: '' }
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "removeMode" fails because ["removeMode" must be one of [delete, soft]]',
+          'child "tombstone" fails because [child "fields" fails because ["fields" must be an object], child "timestampField" fails because ["timestampField" is not allowed to be empty, "timestampField" length must be at least 1 characters long]]'
+        ]));
+
+      expect(() => lambdaHandler({ ...testOptions, removeMode: undefined, tombstone: {} }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"tombstone" missing required peer "removeMode"');
+    });
+
+    it('should index old image with tombstone fields when "removeMode" is "soft"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        old: { name: 'John', v: 2 },
+        creationTime: 1565000000
+      });
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        removeMode: 'soft',
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const expectedDoc = {
+        ...testKeys,
+        name: 'John',
+        v: 2,
+        deleted: true,
+        deletedAt: '2019-08-05T10:13:20.000Z'
+      };
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            {
+              index: {
+                _index: 'index',
+                _id: testKeys.id,
+                version: 3,
+                versionType: 'external'
+              }
+            },
+            expectedDoc
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta[0].document).to.deep.equal(expectedDoc);
+        });
+    });
+
+    it('should use custom tombstone fields and pass old image to hooks', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        old: { name: 'John', secret: 'secret' },
+        creationTime: 1565000000
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        pickFields: ['id', 'name', 'secret'],
+        removeMode: 'soft',
+        tombstone: {
+          fields: { status: 'deleted' },
+          timestampField: null
+        },
+        transformRecordHook: (doc, old) => {
+          expect(old).to.deep.equal({ ...testKeys, name: 'John', secret: 'secret' });
+          return { ...doc, secret: undefined, status: 'active' };
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: testKeys.id } },
+            {
+              ...testKeys,
+              name: 'John',
+              secret: undefined,
+              status: 'deleted'
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should use current time when record does not have creation time', function() {
+      const testEvent = formatEvent({ name: 'REMOVE' });
+      const now = Date.now();
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        removeMode: 'soft'
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const { deletedAt } = stub.firstCall.args[0].body[1];
+          expect(new Date(deletedAt).getTime()).to.be.within(now, Date.now());
+        });
+    });
+
+    it('should fail soft removal of record without old image', function() {
+      const testEvent = formatEvent({ name: 'REMOVE' });
+      delete testEvent.Records[0].dynamodb.OldImage;
+      let hookError;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        removeMode: 'soft',
+        recordErrorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.called).to.be.false;
+          expect(hookError)
+            .to.be.an.instanceOf(errors.MissingOldImageError)
+            .with.property('message', 'record does not have old image to be soft removed');
+          expect(hookError.details).to.equal(testEvent.Records[0]);
+        });
+    });
+
+    it('should send tombstone fields as partial document when "updateMode" is set', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        old: { name: 'John' },
+        creationTime: 1565000000
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search', removeMode: 'soft' },
+          { index: 'autocomplete' }
+        ],
+        updateMode: 'full'
+      });
+
+      const tombstone = { deleted: true, deletedAt: '2019-08-05T10:13:20.000Z' };
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'search', _id: testKeys.id } },
+            { doc: tombstone, upsert: { ...testKeys, name: 'John', ...tombstone } },
+            { delete: { _index: 'autocomplete', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+  });
+
+  describe('ttlRemove', function() {
+    it('should throw when TTL options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        ttlRemove: 'drop',
+        onTtlExpire: 'hook'
+      };
+
+      expect(() => lambdaHandler(testOptions))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "onTtlExpire" fails because ["onTtlExpire" must be a Function]',
+          'child "ttlRemove" fails because ["ttlRemove" must be one of [delete, keep, soft]]'
+        ]));
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        ttlRemove: undefined,
+        onTtlExpire: undefined,
+        ttlTombstone: {}
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"ttlTombstone" missing required peer "ttlRemove"');
+    });
+
+    it('should handle TTL expirations as user removals by default', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, ttl: true });
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { delete: { _index: 'index', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta[0].ttl).to.be.true;
+        });
+    });
+
+    it('should apply "ttlRemove" policy to TTL expirations only', function() {
+      const ttlKeys = { id: uuid.v4() };
+      const userKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        {
+          name: 'REMOVE',
+          keys: ttlKeys,
+          old: { name: 'John' },
+          creationTime: 1565000000,
+          ttl: true
+        },
+        {
+          name: 'REMOVE',
+          keys: userKeys,
+          old: { name: 'Jane' }
+        }
+      ]);
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { name: 'analytics', index: 'analytics', ttlRemove: 'soft' },
+          { name: 'search', index: 'search', ttlRemove: 'delete' },
+          { name: 'archive', index: 'archive', ttlRemove: 'keep' }
+        ],
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'analytics', _id: ttlKeys.id } },
+            {
+              ...ttlKeys,
+              name: 'John',
+              expired: true,
+              expiredAt: '2019-08-05T10:13:20.000Z'
+            },
+            { delete: { _index: 'search', _id: ttlKeys.id } },
+            { delete: { _index: 'analytics', _id: userKeys.id } },
+            { delete: { _index: 'search', _id: userKeys.id } },
+            { delete: { _index: 'archive', _id: userKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta.map(entry => entry.ttl)).to.deep.equal([
+            true,
+            true,
+            undefined,
+            undefined,
+            undefined
+          ]);
+        });
+    });
+
+    it('should use custom tombstone fields for TTL expirations', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        old: { name: 'John' },
+        ttl: true
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        removeMode: 'soft',
+        ttlRemove: 'soft',
+        ttlTombstone: {
+          fields: { status: 'expired' },
+          timestampField: null
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: testKeys.id } },
+            { ...testKeys, name: 'John', status: 'expired' }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should call "onTtlExpire" hook for TTL expirations', function() {
+      const ttlKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        {
+          name: 'REMOVE',
+          keys: ttlKeys,
+          old: { name: 'John' },
+          ttl: true
+        },
+        { name: 'REMOVE' },
+        { name: 'INSERT' }
+      ]);
+
+      const client = new elasticsearch.Client();
+      const hook = sinon.stub().resolves();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        ttlRemove: 'keep',
+        onTtlExpire: hook
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hook.calledOnce).to.be.true;
+          expect(hook.firstCall.args[0]).to.deep.equal(testEvent);
+          expect(hook.firstCall.args[2]).to.containSubset({
+            eventName: 'REMOVE',
+            dynamodb: {
+              Keys: ttlKeys,
+              OldImage: { ...ttlKeys, name: 'John' }
+            }
+          });
+          expect(stub.firstCall.args[0].body).to.containSubset([
+            { delete: { _index: 'index' } },
+            { index: { _index: 'index' } }
+          ]);
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(3);
+        });
+    });
+  });
+
+  describe('versionStrategy', function() {
+    it('should throw when version options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        versionStrategy: 'time',
+        versionType: 'internal'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "versionStrategy" fails because ["versionStrategy" must be one of [sequenceNumber, creationTime]]',
+          'child "versionType" fails because ["versionType" must be one of [external, external_gte]]'
+        ]));
+
+      expect(() => lambdaHandler({ ...testOptions, versionType: 'external' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "versionType" fails because ["versionType" is not allowed]');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        versionStrategy: 'creationTime',
+        versionField: 'v'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"options" contains a conflict between optional exclusive peers [versionField, versionResolver, versionStrategy]');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        versionStrategy: 'creationTime',
+        updateMode: 'full'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"updateMode" conflict with forbidden peer "versionStrategy"');
+    });
+
+    it('should use sequence number as version when "versionStrategy" is "sequenceNumber"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        {
+          name: 'INSERT',
+          keys: testKeys,
+          sequenceNumber: '4421584500000000017450439091',
+          creationTime: 1565000000
+        },
+        {
+          name: 'REMOVE',
+          keys: testKeys,
+          sequenceNumber: '4421584500000000017450439092',
+          creationTime: 1565000000
+        }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionStrategy: 'sequenceNumber',
+        versionType: 'external_gte'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            {
+              index: {
+                _index: 'index',
+                _id: testKeys.id,
+                version: '1565000000450439091',
+                versionType: 'external_gte'
+              }
+            },
+            testKeys,
+            {
+              delete: {
+                _index: 'index',
+                _id: testKeys.id,
+                version: '1565000000450439092',
+                versionType: 'external_gte'
+              }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should keep versions ordered when sequence number prefix rolls over', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent([
+        {
+          name: 'INSERT',
+          keys: testKeys,
+          sequenceNumber: '100000000000000000009',
+          creationTime: 1565000000
+        },
+        {
+          name: 'MODIFY',
+          keys: testKeys,
+          sequenceNumber: '200000000000000000001',
+          creationTime: 1565000001
+        }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionStrategy: 'sequenceNumber'
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const versions = stub.firstCall.args[0].body
+            .filter((line, index) => index % 2 === 0)
+            .map(line => line.index.version);
+
+          expect(versions).to.deep.equal(['1565000000000000009', '1565000001000000001']);
+          // Numeric strings of the same length compare the same way numbers do
+          versions.forEach(version => {
+            expect(version).to.have.lengthOf(19);
+            expect(version <= '9223372036854775807').to.be.true;
+          });
+          expect(versions[1] > versions[0]).to.be.true;
+        });
+    });
+
+    it('should use creation time as version when "versionStrategy" is "creationTime"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        creationTime: 1565000000.5
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [{ index: 'index', versionStrategy: 'creationTime' }]
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            {
+              delete: {
+                _index: 'index',
+                _id: testKeys.id,
+                version: 1565000000500,
+                versionType: 'external_gte'
+              }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should throw when stream metadata required by "versionStrategy" is missing', function() {
+      const testEvent = formatEvent({ name: 'INSERT' });
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        versionStrategy: 'creationTime'
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err)
+            .to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', '"ApproximateCreationDateTime" is required');
+        });
+    });
+
+    it('should mark actions rejected with version conflict as superseded', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({
+        name: 'MODIFY',
+        keys,
+        creationTime: 1565000000
+      })));
+      const sink = { send: sinon.stub().resolves() };
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionStrategy: 'sequenceNumber',
+        deadLetter: sink,
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      sinon.stub(client, 'bulk').resolves({
+        errors: true,
+        items: [
+          {
+            index: {
+              _id: testKeys[0].id,
+              status: 409,
+              error: { type: 'version_conflict_engine_exception', reason: 'version conflict' }
+            }
+          },
+          {
+            index: {
+              _id: testKeys[1].id,
+              status: 400,
+              error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+            }
+          }
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookMeta[0]).to.include({ versionStrategy: 'sequenceNumber', superseded: true });
+          expect(hookMeta[0]).to.not.have.property('error');
+          expect(hookMeta[1].error).to.be.an.instanceOf(errors.BulkItemError);
+          expect(sink.send.calledOnce).to.be.true;
+          expect(sink.send.firstCall.args[0]).to.have.lengthOf(1);
+          expect(sink.send.firstCall.args[0][0].record).to.equal(testEvent.Records[1]);
+        });
+    });
+
+    it('should set "versionType" for versions resolved from the record', function() {
+      const testEvent = formatEvent({ name: 'INSERT', new: { v: 2 } });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        versionField: 'v',
+        versionType: 'external_gte'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs(sinon.match(value => {
+          return expect(value).to.containSubset({
+            body: [
+              { index: { version: 2, versionType: 'external_gte' } }
+            ]
+          });
+        }))
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+  });
+
+  describe('indexDate', function() {
+    it('should throw when index date options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        indexDate: {
+          pattern: '',
+          format: 'days',
+          timeZone: 'Europe/Kiev'
+        }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "indexDate" fails because [child "pattern" fails because ["pattern" is not allowed to be empty], child "format" fails because ["format" must be one of [seconds, millis, iso]], child "timeZone" fails because ["timeZone" with value "Europe/Kiev" fails to match the UTC or fixed offset pattern], "format" missing required peer "field"]');
+    });
+
+    it('should append formatted date to the index name', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', new: { createdAt: 1791000000 } },
+        { name: 'INSERT', new: { createdAt: 1794000000 } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        indexDate: {
+          field: 'createdAt',
+          pattern: 'yyyy.MM'
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const { body } = stub.firstCall.args[0];
+          expect(body[0].index._index).to.equal('orders-2026.10');
+          expect(body[2].index._index).to.equal('orders-2026.11');
+        });
+    });
+
+    it('should resolve date from the old image of REMOVE records', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: testKeys,
+        old: { tenant: 'acme', createdAt: Date.UTC(2026, 9, 31, 22, 30) }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexPrefix: 'orders-',
+        indexField: 'tenant',
+        indexDate: {
+          field: 'createdAt',
+          format: 'millis',
+          pattern: 'yyyy.MM.dd',
+          separator: '_',
+          timeZone: '+02:00'
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { delete: { _index: 'orders-acme_2026.11.01', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should support ISO dates', function() {
+      const testEvent = formatEvent({
+        name: 'INSERT',
+        new: { createdAt: '2026-10-19T23:15:00-05:00' }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        indexDate: { field: 'createdAt', format: 'iso', pattern: 'yy-MM-dd HH:mm:ss' }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0].index._index)
+            .to.equal('orders-26-10-20 04:15:00');
+        });
+    });
+
+    it('should use creation time of the record when "field" is not provided', function() {
+      const testEvent = formatEvent({ name: 'INSERT', creationTime: 1791000000 });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'events',
+        indexDate: { pattern: 'yyyyMMdd', timeZone: '-0430' }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[0].index._index).to.equal('events-20261002');
+        });
+    });
+
+    it('should throw when date is invalid', function() {
+      const testEvent = formatEvent({ name: 'INSERT', new: { createdAt: 'yesterday' } });
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'orders',
+        indexDate: {
+          field: 'createdAt',
+          format: 'iso',
+          pattern: 'yyyy'
+        }
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectError(err => {
+          expect(err)
+            .to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', '"createdAt" must be a valid ISO 8601 date');
+        });
+    });
+  });
+
+  describe('dataStream', function() {
+    it('should throw when data stream options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'logs'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        dataStream: {
+          timestampFormat: 'iso',
+          removePolicy: 'delete',
+          tombstone: {}
+        },
+        removeMode: 'soft'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "dataStream" fails because [child "removePolicy" fails because ["removePolicy" must be one of [skip, tombstone]], child "tombstone" fails because ["tombstone" is not allowed], "timestampFormat" missing required peer "timestampField"]',
+          '"dataStream" conflict with forbidden peer "removeMode"'
+        ]));
+
+      expect(() => lambdaHandler({ ...testOptions, dataStream: {}, updateMode: 'full' }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"updateMode" conflict with forbidden peer "dataStream"');
+
+      expect(() => lambdaHandler({
+        elasticsearch: testOptions.elasticsearch,
+        targets: [{ index: 'logs', dataStream: {}, versionStrategy: 'sequenceNumber' }]
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "targets" fails because ["targets" at position 0 fails because ["dataStream" conflict with forbidden peer "versionStrategy"]]');
+    });
+
+    it('should create documents with timestamp and skip REMOVE events by default', function() {
+      const testEvent = formatEvent(['INSERT', 'MODIFY', 'REMOVE'].map((name, index) => ({
+        name,
+        keys: { id: '1' },
+        creationTime: 1791000000 + index,
+        sequenceNumber: `${index + 1}00`
+      })));
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'logs-orders',
+        dataStream: {},
+        // Every change is appended, so nothing is coalesced
+        coalesce: true,
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-orders', _id: '1.100' } },
+            { id: '1', '@timestamp': '2026-10-03T04:00:00.000Z' },
+            { create: { _index: 'logs-orders', _id: '1.200' } },
+            { id: '1', '@timestamp': '2026-10-03T04:00:01.000Z' }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta).to.have.lengthOf(2);
+        });
+    });
+
+    it('should create tombstone documents for REMOVE events when "removePolicy" is "tombstone"', function() {
+      const testEvent = formatEvent({
+        name: 'REMOVE',
+        keys: { id: '1' },
+        old: { updatedAt: '2026-10-19T10:00:00Z' },
+        creationTime: 1791000000,
+        sequenceNumber: '100'
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          {
+            index: 'logs-orders',
+            dataStream: {
+              timestampField: 'updatedAt',
+              timestampFormat: 'iso',
+              removePolicy: 'tombstone',
+              tombstone: { fields: { status: 'deleted' } }
+            }
+          },
+          {
+            index: 'orders'
+          }
+        ]
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { create: { _index: 'logs-orders', _id: '1.100' } },
+            {
+              id: '1',
+              updatedAt: '2026-10-19T10:00:00Z',
+              '@timestamp': '2026-10-19T10:00:00.000Z',
+              status: 'deleted',
+              deletedAt: '2026-10-03T04:00:00.000Z'
+            },
+            { delete: { _index: 'orders', _id: '1' } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+  });
+
+  describe('index bootstrap', function() {
+    function createClient() {
+      return {
+        bulk: sinon.stub().resolves(),
+        indices: {
+          create: sinon.stub().resolves(),
+          putIndexTemplate: sinon.stub().resolves(),
+          putTemplate: sinon.stub().resolves()
+        }
+      };
+    }
+
+    it('should throw when bootstrap options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        mappings: [],
+        indexSettings: 1,
+        indexTemplates: [{ body: {}, legacy: 'yes' }]
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "mappings" fails because ["mappings" must be an object]',
+          'child "indexSettings" fails because ["indexSettings" must be an object]',
+          'child "indexTemplates" fails because ["indexTemplates" at position 0 fails because [child "name" fails because ["name" is required], child "legacy" fails because ["legacy" must be a boolean]]]'
+        ]));
+
+      expect(() => lambdaHandler({ ...testOptions, dataStream: {}, mappings: {} }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"dataStream" conflict with forbidden peer "mappings"');
+    });
+
+    it('should create previously unseen indices with settings and mappings', function() {
+      const client = createClient();
+      const existsError = new Error('[resource_already_exists_exception] index already exists');
+      existsError.body = { error: { type: 'resource_already_exists_exception' } };
+      client.indices.create.withArgs(sinon.match({ index: 'orders-globex' })).rejects(existsError);
+
+      const mappings = { properties: { total: { type: 'scaled_float', scaling_factor: 100 } } };
+      const indexSettings = { number_of_shards: 1 };
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          {
+            indexPrefix: 'orders-',
+            indexField: 'tenant',
+            mappings,
+            indexSettings
+          },
+          {
+            index: 'autocomplete'
+          }
+        ]
+      });
+
+      return lambdaTester(handler)
+        .event(formatEvent([
+          { name: 'INSERT', new: { tenant: 'acme' } },
+          { name: 'INSERT', new: { tenant: 'acme' } },
+          { name: 'INSERT', new: { tenant: 'globex' } }
+        ]))
+        .expectResult(() => {
+          expect(client.indices.create.callCount).to.equal(2);
+          expect(client.indices.create.firstCall.args[0]).to.deep.equal({
+            index: 'orders-acme',
+            body: { settings: indexSettings, mappings }
+          });
+          expect(client.indices.create.calledBefore(client.bulk)).to.be.true;
+        })
+        .then(() => {
+          return lambdaTester(handler)
+            .event(formatEvent([
+              { name: 'INSERT', new: { tenant: 'globex' } },
+              { name: 'INSERT', new: { tenant: 'initech' } }
+            ]))
+            .expectResult(() => {
+              expect(client.indices.create.callCount).to.equal(3);
+              expect(client.indices.create.thirdCall.args[0]).to.deep.equal({
+                index: 'orders-initech',
+                body: { settings: indexSettings, mappings }
+              });
+            });
+        });
+    });
+
+    it('should put index templates on the first invocation only', function() {
+      const client = createClient();
+      const templates = [
+        {
+          name: 'orders',
+          body: { index_patterns: ['orders-*'], template: { mappings: {} } }
+        },
+        {
+          name: 'orders-legacy',
+          body: { index_patterns: ['orders-*'], mappings: {} },
+          legacy: true
+        }
+      ];
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        indexPrefix: 'orders-',
+        indexField: 'tenant',
+        indexTemplates: templates
+      });
+
+      const testEvent = formatEvent({ name: 'INSERT', new: { tenant: 'acme' } });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult()
+        .then(() => {
+          return lambdaTester(handler)
+            .event(testEvent)
+            .expectResult(() => {
+              expect(client.indices.putIndexTemplate.calledOnceWithExactly({
+                name: 'orders',
+                body: templates[0].body
+              })).to.be.true;
+              expect(client.indices.putTemplate.calledOnceWithExactly({
+                name: 'orders-legacy',
+                body: templates[1].body
+              })).to.be.true;
+              expect(client.indices.create.called).to.be.false;
+              expect(client.bulk.calledTwice).to.be.true;
+            });
+        });
+    });
+
+    it('should pass bootstrap errors to "errorHook" and retry on the next invocation', function() {
+      const client = createClient();
+      const testError = new Error('[illegal_argument_exception] invalid mapping');
+      testError.meta = { body: { error: { type: 'illegal_argument_exception' } } };
+      client.indices.create.onFirstCall().rejects(testError);
+      let hookError;
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        mappings: {},
+        errorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      const testEvent = formatEvent({ name: 'INSERT' });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(hookError)
+            .to.be.an.instanceOf(errors.IndexBootstrapError)
+            .with.property('message', 'failed to ensure "orders": [illegal_argument_exception] invalid mapping');
+          expect(hookError.details).to.equal(testError);
+          expect(client.bulk.called).to.be.false;
+        })
+        .then(() => {
+          return lambdaTester(handler)
+            .event(testEvent)
+            .expectResult(() => {
+              expect(client.indices.create.calledTwice).to.be.true;
+              expect(client.bulk.calledOnce).to.be.true;
+            });
+        });
+    });
+  });
+
+  describe('conversion', function() {
+    it('should throw when conversion options are invalid', function() {
+      expect(() => lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        conversion: { sets: 'list', binary: 'hex', numbers: 'bigint' }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "conversion" fails because [child "sets" fails because ["sets" must be one of [set, array]], child "binary" fails because ["binary" must be one of [buffer, base64, drop]], child "numbers" fails because ["numbers" must be one of [number, string, safe]]]');
+    });
+
+    it('should convert attributes according to "conversion" policies', function() {
+      const testEvent = {
+        Records: [{
+          eventName: 'INSERT',
+          dynamodb: {
+            Keys: { id: { N: '9007199254740993' } },
+            NewImage: {
+              id: { N: '9007199254740993' },
+              tags: { SS: ['a', 'b'] },
+              photo: { B: 'cGhvdG8=' }
+            }
+          }
+        }]
+      };
+      let hookDoc;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        conversion: { sets: 'array', binary: 'drop', numbers: 'safe' },
+        transformRecordHook: doc => {
+          hookDoc = doc;
+          return doc;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: '9007199254740993' } },
+            { id: '9007199254740993', tags: ['a', 'b'] }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookDoc).to.deep.equal({ id: '9007199254740993', tags: ['a', 'b'] });
+        });
+    });
+  });
+
+  describe('fieldMappings', function() {
+    it('should throw when field mappings are invalid', function() {
+      expect(() => lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        fieldMappings: {
+          rename: { cust_id: 1 },
+          omit: [],
+          concat: { fullName: { separator: 1 } },
+          compute: {}
+        }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "fieldMappings" fails because [child "rename" fails because [child "cust_id" fails because ["cust_id" must be a string]], child "omit" fails because ["omit" must be a string, "omit" must contain at least 1 items], child "concat" fails because [child "fullName" fails because [child "fields" fails because ["fields" is required], child "separator" fails because ["separator" must be a string]]], "compute" is not allowed]');
+    });
+
+    it('should shape document before passing it to "transformRecordHook"', function() {
+      const testEvent = formatEvent({
+        name: 'INSERT',
+        keys: { pk: 'tenant-1', sk: 'order-1' },
+        new: {
+          cust_id: 'customer-1',
+          first: 'John',
+          last: 'Doe',
+          secretToken: 'secret',
+          internal: { audit: { by: 'admin' }, note: 'note' },
+          meta: { secretHash: 'hash', source: 'api' }
+        }
+      });
+      let hookDoc;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        idField: 'sk',
+        fieldMappings: {
+          rename: { cust_id: 'customer.id', sk: 'orderId' },
+          omit: ['pk', 'secret*', '*.secret*', 'internal.**'],
+          defaults: { status: 'new', 'customer.tier': 'basic' },
+          fromKeys: { 'customer.tenant': 'pk' },
+          concat: { 'customer.name': { fields: ['first', 'missing', 'last'] } }
+        },
+        transformRecordHook: doc => {
+          hookDoc = doc;
+          return doc;
+        }
+      });
+
+      const expectedDoc = {
+        orderId: 'order-1',
+        first: 'John',
+        last: 'Doe',
+        internal: {},
+        meta: { source: 'api' },
+        customer: {
+          id: 'customer-1',
+          tenant: 'tenant-1',
+          name: 'John Doe',
+          tier: 'basic'
+        },
+        status: 'new'
+      };
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: 'order-1' } },
+            expectedDoc
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookDoc).to.deep.equal(expectedDoc);
+        });
+    });
+
+    it('should shape old image when "updateMode" is "changed"', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: { cust_id: 'customer-1', name: 'Jane' },
+        old: { cust_id: 'customer-1', name: 'John' }
+      });
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search', fieldMappings: { rename: { cust_id: 'customerId' } } },
+          { index: 'autocomplete', pickFields: 'name', fieldMappings: { defaults: { kind: 'user' } } }
+        ],
+        updateMode: 'changed'
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { update: { _index: 'search', _id: testKeys.id } },
+            {
+              doc: { name: 'Jane' },
+              upsert: { ...testKeys, customerId: 'customer-1', name: 'Jane' }
+            },
+            { update: { _index: 'autocomplete', _id: testKeys.id } },
+            {
+              doc: { name: 'Jane' },
+              upsert: { name: 'Jane', kind: 'user' }
+            }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => mock.verify());
+    });
+
+    it('should not shape documents of REMOVE events unless they are soft removed', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys, old: { cust_id: 'c' } });
+      const hookDocs = [];
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        targets: [
+          { index: 'search', removeMode: 'soft', tombstone: { timestampField: null } },
+          { index: 'autocomplete' }
+        ].map(target => ({
+          ...target,
+          fieldMappings: { rename: { cust_id: 'customerId' }, defaults: { kind: 'user' } },
+          transformRecordHook: doc => {
+            hookDocs.push(doc);
+            return doc;
+          }
+        }))
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'search', _id: testKeys.id } },
+            {
+              ...testKeys,
+              customerId: 'c',
+              kind: 'user',
+              deleted: true
+            },
+            { delete: { _index: 'autocomplete', _id: testKeys.id } }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookDocs[1]).to.deep.equal({});
+        });
+    });
+  });
+
+  describe('redact', function() {
+    const hashKey = 'secret-key';
+
+    function hmac(value) {
+      return crypto.createHmac('sha256', hashKey).update(value).digest('hex');
+    }
+
+    it('should throw when redaction rules are invalid', function() {
+      expect(() => lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        redact: [
+          { field: 'email', strategy: 'encrypt' },
+          { field: 'phone', strategy: 'hash', visible: 4 },
+          { strategy: 'truncate' }
+        ]
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "redact" fails because ["redact" at position 0 fails because [child "strategy" fails because ["strategy" must be one of [drop, mask, hash, truncate]]], "redact" at position 1 fails because [child "visible" fails because ["visible" is not allowed], child "key" fails because ["key" is required]], "redact" at position 2 fails because [child "field" fails because ["field" is required], child "length" fails because ["length" is required]]]');
+    });
+
+    it('should redact fields of the documents, meta and hooks arguments', function() {
+      const testKeys = { id: uuid.v4() };
+      const testEvent = formatEvent({
+        name: 'MODIFY',
+        keys: testKeys,
+        new: {
+          email: 'john@example.com',
+          password: 'password',
+          contact: { phone: '+15551234567', zip: 12345 },
+          addresses: [{ street: 'Main St 1' }, { street: 'Elm St 22' }],
+          aliases: DynamoDB.Converter.output({ SS: ['johnny', 'mike'] }),
+          avatar: { url: 'https://example.com/avatar.png' }
+        },
+        old: { email: 'old@example.com', password: 'old' }
+      });
+      const hookArgs = [];
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        redact: [
+          { field: 'email', strategy: 'hash', key: hashKey },
+          { field: 'password', strategy: 'drop' },
+          { field: 'contact.phone', strategy: 'mask', visible: 4 },
+          { field: 'contact.zip', strategy: 'truncate', length: 3 },
+          { field: 'addresses.street', strategy: 'mask', char: '#' },
+          { field: 'aliases', strategy: 'truncate', length: 1 },
+          { field: 'avatar', strategy: 'mask' },
+          { field: 'missing.field', strategy: 'drop' }
+        ],
+        beforeHook: event => {
+          hookArgs.push(event);
+        },
+        transformRecordHook: (doc, old) => {
+          hookArgs.push(old);
+          return doc;
+        },
+        afterHook: (event, context, result, meta) => {
+          hookArgs.push(event, meta[0].document, meta[0].event.dynamodb.OldImage);
+        }
+      });
+
+      const expectedDoc = {
+        ...testKeys,
+        email: hmac('john@example.com'),
+        contact: { phone: '********4567', zip: '123' },
+        addresses: [{ street: '#########' }, { street: '#########' }],
+        aliases: DynamoDB.Converter.output({ SS: ['j', 'm'] })
+      };
+      const expectedOld = { ...testKeys, email: hmac('old@example.com') };
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'index', _id: testKeys.id } },
+            expectedDoc
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+
+          const [beforeEvent, transformOld, afterEvent, metaDoc, metaOld] = hookArgs;
+          expect(beforeEvent).to.deep.equal(afterEvent);
+          expect(JSON.stringify(beforeEvent)).to.not.match(/example\.com|password|5551234567|Main/);
+          expect(transformOld).to.deep.equal(expectedOld);
+          expect(metaDoc).to.deep.equal(expectedDoc);
+          expect(metaOld).to.deep.equal(expectedOld);
+        });
+    });
+
+    it('should redact key attributes of ids, meta and dead letter entries', function() {
+      const testEvent = formatEvent({ name: 'INSERT', keys: { email: 'john@example.com' } });
+      const entries = [];
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        redact: [{ field: 'email', strategy: 'hash', key: hashKey }],
+        deadLetter: {
+          send: async batch => {
+            entries.push(...batch);
+          }
+        },
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves({
+        errors: true,
+        items: [{
+          index: {
+            _id: hmac('john@example.com'),
+            status: 400,
+            error: { type: 'mapper_parsing_exception', reason: 'failed to parse' }
+          }
+        }]
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body).to.deep.equal([
+            { index: { _index: 'index', _id: hmac('john@example.com') } },
+            { email: hmac('john@example.com') }
+          ]);
+          expect(hookMeta[0].event.dynamodb.Keys).to.deep.equal({
+            email: hmac('john@example.com')
+          });
+          expect(JSON.stringify(hookMeta)).to.not.include('john@example.com');
+          expect(entries).to.have.lengthOf(1);
+          expect(JSON.stringify(entries)).to.not.include('john@example.com');
+        });
+    });
+
+    it('should send redacted records to dead letter sink', function() {
+      const testEvent = formatEvent({ name: 'INSERT', new: { email: 'john@example.com' } });
+      const entries = [];
+      let hookError;
+
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        indexField: 'tenant',
+        redact: [{ field: 'email', strategy: 'hash', key: hashKey }],
+        deadLetter: {
+          send: async batch => {
+            entries.push(...batch);
+          }
+        },
+        recordErrorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(entries).to.have.lengthOf(1);
+          expect(entries[0].redacted).to.be.true;
+          expect(entries[0].record.dynamodb.NewImage.email).to.deep.equal({
+            S: hmac('john@example.com')
+          });
+          expect(hookError.details.NewImage.email).to.equal(hmac('john@example.com'));
+        });
+    });
+
+    it('should leave malformed events to validation', function() {
+      const handler = lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        redact: [{ field: 'email', strategy: 'drop' }]
+      });
+
+      return lambdaTester(handler)
+        .event({ Records: [{ eventName: 'INSERT' }] })
+        .expectError(err => {
+          expect(err)
+            .to.be.an.instanceOf(errors.ValidationError)
+            .with.property('message', 'child "Records" fails because ["Records" at position 0 fails because [child "dynamodb" fails because ["dynamodb" is required]]]');
+        });
+    });
+  });
+
+  describe('entities', function() {
+    const testEntities = [
+      {
+        name: 'user',
+        match: { field: 'PK', prefix: 'USER#' },
+        index: 'users',
+        idResolver: doc => doc.PK.slice('USER#'.length),
+        pickFields: ['PK', 'name']
+      },
+      {
+        name: 'order',
+        match: [
+          { field: 'PK', pattern: '^TENANT#' },
+          { field: 'SK', pattern: /^ORDER#\d+$/ }
+        ],
+        index: 'orders',
+        idField: 'SK',
+        transformRecordHook: doc => ({ total: doc.total })
+      },
+      {
+        match: { field: 'type', value: 'invoice' },
+        indexPrefix: 'invoices-',
+        indexField: 'PK'
+      }
+    ];
+
+    it('should throw when entities are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        }
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        entities: [
+          { index: 'users' },
+          { match: { field: 'PK', prefix: 'USER#', value: 1 }, index: 'users' },
+          { match: [], index: 'users', indexField: 'PK' }
+        ],
+        unmatchedEntity: 'ignore'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', formatErrorMessage([
+          'child "unmatchedEntity" fails because ["unmatchedEntity" must be one of [skip, error]]',
+          'child "entities" fails because ["entities" at position 0 fails because [child "match" fails because ["match" is required]], "entities" at position 1 fails because [child "match" fails because ["condition" contains a conflict between exclusive peers [prefix, pattern, value], "match" must be an array]], "entities" at position 2 fails because [child "match" fails because ["condition" must be an object, "match" must contain at least 1 items], "entity" contains a conflict between exclusive peers [index, indexField]]]'
+        ]));
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        index: 'index',
+        entities: testEntities
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"entities" conflict with forbidden peer "index"');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        index: 'index',
+        unmatchedEntity: 'skip'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"unmatchedEntity" missing required peer "entities"');
+    });
+
+    it('should route records to the first matching entity and skip unmatched ones', function() {
+      const testEvent = formatEvent([
+        { keys: { PK: 'USER#1', SK: 'PROFILE' }, new: { name: 'John', email: 'john@example.com' } },
+        { keys: { PK: 'TENANT#1', SK: 'ORDER#1' }, new: { total: 10 } },
+        { keys: { PK: 'TENANT#1', SK: 'ORDER#draft' }, new: { total: 20 } },
+        { keys: { PK: 'TENANT#1', SK: 'INVOICE#1' }, new: { type: 'invoice' } },
+        { keys: { PK: 'TENANT#1', SK: 'COMMENT#1' }, new: { text: 'Hello' } }
+      ]);
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: testEntities,
+        separator: '#',
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'users', _id: '1' } },
+            { PK: 'USER#1', name: 'John' },
+            { index: { _index: 'orders', _id: 'ORDER#1' } },
+            { total: 10 },
+            { index: { _index: 'invoices-TENANT#1', _id: 'TENANT#1#INVOICE#1' } },
+            { PK: 'TENANT#1', SK: 'INVOICE#1', type: 'invoice' }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(hookMeta.map(entry => entry.entity)).to.deep.equal([
+            'user',
+            'order',
+            'invoices-TENANT#1'
+          ]);
+        });
+    });
+
+    it('should fail records matching no entity when "unmatchedEntity" is "error"', function() {
+      const testEvent = formatEvent([
+        { keys: { PK: 'USER#1' } },
+        { keys: { PK: 'COMMENT#1' } }
+      ]);
+      let hookError;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        entities: testEntities,
+        unmatchedEntity: 'error',
+        reportBatchItemFailures: true,
+        recordErrorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: testEvent.Records[1].dynamodb.SequenceNumber }]
+          });
+          expect(hookError)
+            .to.be.an.instanceOf(errors.UnmatchedEntityError)
+            .with.property('message', 'record does not match any of the entities');
+          expect(hookError.details).to.deep.equal(testEvent.Records[1]);
+          expect(stub.firstCall.args[0].body).to.have.lengthOf(2);
+        });
+    });
+  });
+
+  describe('enrich', function() {
+    function formatClient(responses) {
+      const batchGet = sinon.stub();
+      responses.forEach((response, index) => {
+        batchGet.onCall(index).returns({
+          promise: () => (response instanceof Error
+            ? Promise.reject(response)
+            : Promise.resolve(response))
+        });
+      });
+      return { batchGet };
+    }
+
+    it('should throw when enrichment options are invalid', function() {
+      expect(() => lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        enrich: {
+          client: {},
+          lookups: [
+            { table: 'customers', path: 'customer' },
+            { table: 'stores', key: { id: 'storeId' }, keyResolver: () => {} }
+          ]
+        }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "enrich" fails because [child "client" fails because [child "batchGet" fails because ["batchGet" is required]], child "lookups" fails because ["lookups" at position 0 fails because ["lookup" must contain at least one of [key, keyResolver]], "lookups" at position 1 fails because [child "path" fails because ["path" is required], "lookup" contains a conflict between exclusive peers [key, keyResolver]]]]');
+    });
+
+    it('should look up related items of all the records with a single request', function() {
+      const testEvent = formatEvent([
+        { keys: { id: 'order-1' }, new: { customerId: 'c-1', storeId: 1, total: 10 } },
+        { keys: { id: 'order-2' }, new: { customerId: 'c-1', storeId: 2, total: 20 } },
+        { keys: { id: 'order-3' }, new: { customerId: 'c-2', total: 30 } }
+      ]);
+      const dynamoClient = formatClient([{
+        Responses: {
+          customers: [
+            { id: 'c-1', name: 'John', email: 'john@example.com' }
+          ],
+          stores: [
+            { tenant: 't-1', storeId: 1, region: 'eu' },
+            { tenant: 't-1', storeId: 2, region: 'us' }
+          ]
+        }
+      }]);
+      const hookDocs = [];
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'id',
+        pickFields: ['id', 'total', 'customer', 'store'],
+        transformRecordHook: doc => {
+          hookDocs.push(doc);
+          return doc;
+        },
+        enrich: {
+          client: dynamoClient,
+          lookups: [
+            {
+              table: 'customers',
+              key: { id: 'customerId' },
+              attributes: ['name'],
+              path: 'customer'
+            },
+            {
+              table: 'stores',
+              keyResolver: image => image.storeId && { tenant: 't-1', storeId: image.storeId },
+              path: 'store.info'
+            }
+          ]
+        }
+      });
+
+      const mock = sinon.mock(client).expects('bulk')
+        .once()
+        .withExactArgs({
+          body: [
+            { index: { _index: 'orders', _id: 'order-1' } },
+            {
+              id: 'order-1',
+              total: 10,
+              customer: { name: 'John' },
+              store: { info: { tenant: 't-1', storeId: 1, region: 'eu' } }
+            },
+            { index: { _index: 'orders', _id: 'order-2' } },
+            {
+              id: 'order-2',
+              total: 20,
+              customer: { name: 'John' },
+              store: { info: { tenant: 't-1', storeId: 2, region: 'us' } }
+            },
+            { index: { _index: 'orders', _id: 'order-3' } },
+            { id: 'order-3', total: 30 }
+          ]
+        })
+        .resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          mock.verify();
+          expect(dynamoClient.batchGet.calledOnce).to.be.true;
+          expect(dynamoClient.batchGet.firstCall.args[0]).to.deep.equal({
+            RequestItems: {
+              customers: {
+                Keys: [{ id: 'c-1' }, { id: 'c-2' }],
+                ProjectionExpression: '#a0, #a1',
+                ExpressionAttributeNames: { '#a0': 'id', '#a1': 'name' }
+              },
+              stores: {
+                Keys: [{ tenant: 't-1', storeId: 1 }, { tenant: 't-1', storeId: 2 }]
+              }
+            }
+          });
+          expect(hookDocs[0].customer).to.not.equal(hookDocs[1].customer);
+        });
+    });
+
+    it('should split lookups into chunks and request unprocessed keys again', function() {
+      const testEvent = formatEvent(Array.from({ length: 101 }, (value, index) => ({
+        keys: { id: `order-${index}` },
+        new: { customerId: `c-${index}` }
+      })));
+      const unprocessedKey = { id: 'c-99' };
+      const dynamoClient = formatClient([
+        {
+          Responses: { customers: [{ id: 'c-0', name: 'John' }] },
+          UnprocessedKeys: { customers: { Keys: [unprocessedKey] } }
+        },
+        { Responses: { customers: [{ id: 'c-99', name: 'Jane' }] } },
+        { Responses: { customers: [{ id: 'c-100', name: 'Jack' }] } }
+      ]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'id',
+        pickFields: ['customer'],
+        enrich: {
+          client: dynamoClient,
+          lookups: [{ table: 'customers', key: { id: 'customerId' }, path: 'customer' }],
+          retryOptions: { minTimeout: 0 }
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(dynamoClient.batchGet.callCount).to.equal(3);
+          expect(dynamoClient.batchGet.firstCall.args[0].RequestItems.customers.Keys)
+            .to.have.lengthOf(100);
+          expect(dynamoClient.batchGet.secondCall.args[0]).to.deep.equal({
+            RequestItems: { customers: { Keys: [unprocessedKey] } }
+          });
+          expect(dynamoClient.batchGet.thirdCall.args[0]).to.deep.equal({
+            RequestItems: { customers: { Keys: [{ id: 'c-100' }] } }
+          });
+
+          const docs = stub.firstCall.args[0].body.filter((line, index) => index % 2 === 1);
+          expect(docs[0]).to.deep.equal({ customer: { id: 'c-0', name: 'John' } });
+          expect(docs[1]).to.deep.equal({});
+          expect(docs[99]).to.deep.equal({ customer: { id: 'c-99', name: 'Jane' } });
+          expect(docs[100]).to.deep.equal({ customer: { id: 'c-100', name: 'Jack' } });
+        });
+    });
+
+    it('should redact related items', function() {
+      const testEvent = formatEvent([
+        { keys: { id: 'order-1' }, new: { customerId: 'c-1', email: 'order@example.com' } }
+      ]);
+      const dynamoClient = formatClient([{
+        Responses: {
+          customers: [{
+            id: 'c-1',
+            name: 'John',
+            email: 'john@example.com',
+            phone: '5551234567'
+          }]
+        }
+      }]);
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'id',
+        redact: [
+          { field: 'email', strategy: 'drop' },
+          { field: 'customer.email', strategy: 'drop' },
+          { field: 'customer.phone', strategy: 'mask', visible: 4 }
+        ],
+        enrich: {
+          client: dynamoClient,
+          lookups: [{ table: 'customers', key: { id: 'customerId' }, path: 'customer' }]
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.firstCall.args[0].body[1]).to.deep.equal({
+            id: 'order-1',
+            customerId: 'c-1',
+            customer: { id: 'c-1', name: 'John', phone: '******4567' }
+          });
+        });
+    });
+
+    it('should pass lookup errors to "errorHook"', function() {
+      const testEvent = formatEvent([
+        { keys: { id: 'order-1' }, new: { customerId: 'c-1' } }
+      ]);
+      const testError = new Error('Requested resource not found');
+      let hookError;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        enrich: {
+          client: formatClient([testError]),
+          lookups: [{ table: 'customers', key: { id: 'customerId' }, path: 'customer' }]
+        },
+        errorHook: (event, context, err) => {
+          hookError = err;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(stub.called).to.be.false;
+          expect(hookError)
+            .to.be.an.instanceOf(errors.EnrichmentError)
+            .with.property('message', 'failed to look up related items: Requested resource not found');
+          expect(hookError.details).to.equal(testError);
+        });
+    });
+  });
+
+  describe('collection', function() {
+    const testCollection = {
+      match: { field: 'SK', prefix: 'LINE#' },
+      field: 'lines',
+      childIdField: 'SK'
+    };
+
+    function formatScript(source, params) {
+      return {
+        script: { source, lang: 'painless', params },
+        upsert: {},
+        scripted_upsert: true
+      };
+    }
+
+    it('should throw when collection options are invalid', function() {
+      const testOptions = {
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'orders'
+      };
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        collection: { match: { field: 'SK' }, field: 'lines' }
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "collection" fails because [child "match" fails because ["condition" must contain at least one of [prefix, pattern, value], "match" must be an array], child "childIdField" fails because ["childIdField" is required]]');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        collection: testCollection,
+        removeMode: 'soft'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"collection" conflict with forbidden peer "removeMode"');
+
+      expect(() => lambdaHandler({
+        ...testOptions,
+        collection: testCollection,
+        updateMode: 'full'
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', '"updateMode" conflict with forbidden peer "collection"');
+    });
+
+    it('should fold children into parent document by scripted updates', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { PK: 'ORDER#1', SK: 'ORDER#1' }, new: { status: 'new' } },
+        { name: 'INSERT', keys: { PK: 'ORDER#1', SK: 'LINE#1' }, new: { sku: 'a', qty: 1 } },
+        {
+          name: 'MODIFY',
+          keys: { PK: 'ORDER#1', SK: 'LINE#1' },
+          new: { sku: 'a', qty: 2 },
+          old: { sku: 'a', qty: 1 }
+        },
+        { name: 'REMOVE', keys: { PK: 'ORDER#1', SK: 'LINE#2' }, old: { sku: 'b', qty: 1 } },
+        { name: 'REMOVE', keys: { PK: 'ORDER#1', SK: 'ORDER#1' }, old: { status: 'new' } }
+      ]);
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'PK',
+        pickFields: ['status', 'sku', 'qty'],
+        collection: { ...testCollection, retryOnConflict: 3 },
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const action = { update: { _index: 'orders', _id: 'ORDER#1', retry_on_conflict: 3 } };
+          const [parentScript, childScript, removalScript] = [
+            stub.firstCall.args[0].body[1],
+            stub.firstCall.args[0].body[3],
+            stub.firstCall.args[0].body[7]
+          ].map(body => body.script.source);
+
+          expect(stub.firstCall.args[0].body).to.deep.equal([
+            action,
+            formatScript(parentScript, { field: 'lines', doc: { status: 'new' } }),
+            action,
+            formatScript(childScript, {
+              field: 'lines',
+              idField: 'SK',
+              id: 'LINE#1',
+              child: { sku: 'a', qty: 1, SK: 'LINE#1' }
+            }),
+            action,
+            formatScript(childScript, {
+              field: 'lines',
+              idField: 'SK',
+              id: 'LINE#1',
+              child: { sku: 'a', qty: 2, SK: 'LINE#1' }
+            }),
+            action,
+            formatScript(removalScript, { field: 'lines', idField: 'SK', id: 'LINE#2' }),
+            { delete: { _index: 'orders', _id: 'ORDER#1' } }
+          ]);
+          expect(parentScript).to.include('ctx._source.putAll(params.doc)');
+          expect(childScript).to.include('ctx._source[params.field].add(params.child)');
+          expect(removalScript).to.include('ctx.op = \'none\'');
+          expect(hookMeta.map(entry => entry.childId)).to.deep.equal([
+            undefined,
+            'LINE#1',
+            'LINE#1',
+            'LINE#2',
+            undefined
+          ]);
+        });
+    });
+
+    it('should not coalesce actions of children', function() {
+      const testEvent = formatEvent([
+        { name: 'INSERT', keys: { PK: 'ORDER#1', SK: 'ORDER#1' }, new: { status: 'new' } },
+        { name: 'INSERT', keys: { PK: 'ORDER#1', SK: 'LINE#1' }, new: { qty: 1 } },
+        { name: 'INSERT', keys: { PK: 'ORDER#1', SK: 'LINE#2' }, new: { qty: 1 } },
+        { name: 'MODIFY', keys: { PK: 'ORDER#1', SK: 'ORDER#1' }, new: { status: 'paid' } }
+      ]);
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'orders',
+        idField: 'PK',
+        pickFields: ['status', 'qty'],
+        collection: testCollection,
+        coalesce: true,
+        afterHook: (event, context, result, meta) => {
+          hookMeta = meta;
+        }
+      });
+
+      const stub = sinon.stub(client, 'bulk').resolves();
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          const body = stub.firstCall.args[0].body;
+          expect(body).to.have.lengthOf(6);
+          expect(body[1].script.params).to.include({ id: 'LINE#1' });
+          expect(body[3].script.params).to.include({ id: 'LINE#2' });
+          expect(body[5].script.params).to.deep.equal({
+            field: 'lines',
+            doc: { status: 'paid' }
+          });
+          expect(hookMeta[2].coalesced.map(event => event.dynamodb.SequenceNumber))
+            .to.deep.equal([testEvent.Records[0].dynamodb.SequenceNumber]);
+        });
+    });
+  });
+
+  describe('cascade', function() {
+    const testCascade = [
+      {
+        match: { field: 'PK', prefix: 'STORE#' },
+        index: ['orders', 'products'],
+        terms: { storeId: 'PK' }
+      },
+      {
+        index: 'audit',
+        terms: { 'entity.pk': 'PK', 'entity.sk': 'SK' },
+        conflicts: 'abort'
+      }
+    ];
+
+    function formatQuery(terms) {
+      return {
+        bool: {
+          filter: Object.keys(terms).map(field => ({ term: { [field]: terms[field] } }))
+        }
+      };
+    }
+
+    it('should throw when cascade rules are invalid', function() {
+      expect(() => lambdaHandler({
+        elasticsearch: {
+          client: new elasticsearch.Client()
+        },
+        index: 'index',
+        cascade: [
+          { terms: { storeId: 'PK' } },
+          { index: [], terms: {}, conflicts: 'ignore' }
+        ]
+      }))
+        .to.throw(errors.ValidationError)
+        .with.property('message', 'child "cascade" fails because ["cascade" at position 0 fails because [child "index" fails because ["index" is required]], "cascade" at position 1 fails because [child "index" fails because ["index" must be a string, "index" must contain at least 1 items], child "terms" fails because ["terms" must have at least 1 children], child "conflicts" fails because ["conflicts" must be one of [abort, proceed]]]]');
+    });
+
+    it('should delete dependent documents of removed records after bulk request', function() {
+      const testEvent = formatEvent([
+        { name: 'REMOVE', keys: { PK: 'STORE#1', SK: 'STORE#1' } },
+        { name: 'INSERT', keys: { PK: 'STORE#2', SK: 'STORE#2' } },
+        { name: 'REMOVE', keys: { PK: 'USER#1', SK: 'USER#1' } }
+      ]);
+      const testResponses = [{ deleted: 3 }, { deleted: 1 }, { deleted: 0 }];
+      let hookResult;
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        idField: 'PK',
+        cascade: testCascade,
+        afterHook: (event, context, result, meta) => {
+          hookResult = result;
+          hookMeta = meta;
+        }
+      });
+
+      const bulkStub = sinon.stub(client, 'bulk').resolves();
+      const deleteByQueryStub = sinon.stub(client, 'deleteByQuery');
+      testResponses.forEach((response, index) => {
+        deleteByQueryStub.onCall(index).resolves(response);
+      });
+
+      const testRequests = [
+        {
+          index: 'orders,products',
+          conflicts: 'proceed',
+          body: { query: formatQuery({ storeId: 'STORE#1' }) }
+        },
+        {
+          index: 'audit',
+          conflicts: 'abort',
+          body: { query: formatQuery({ 'entity.pk': 'STORE#1', 'entity.sk': 'STORE#1' }) }
+        },
+        {
+          index: 'audit',
+          conflicts: 'abort',
+          body: { query: formatQuery({ 'entity.pk': 'USER#1', 'entity.sk': 'USER#1' }) }
+        }
+      ];
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(() => {
+          expect(deleteByQueryStub.callCount).to.equal(3);
+          expect(deleteByQueryStub.firstCall.calledAfter(bulkStub.firstCall)).to.be.true;
+          expect(deleteByQueryStub.args.map(args => args[0])).to.deep.equal(testRequests);
+          expect(hookResult.cascade).to.deep.equal({
+            errors: false,
+            items: testResponses
+          });
+          expect(hookMeta).to.have.lengthOf(6);
+          hookMeta.slice(3).forEach((entry, index) => {
+            expect(entry.cascade).to.deep.equal(testRequests[index]);
+            expect(entry.result).to.deep.equal(testResponses[index]);
+          });
+          expect(hookMeta[5].event.dynamodb.Keys).to.deep.equal({ PK: 'USER#1', SK: 'USER#1' });
+        });
+    });
+
+    it('should report failed cascades', function() {
+      const testEvent = formatEvent([
+        { name: 'REMOVE', keys: { PK: 'STORE#1', SK: 'STORE#1' } }
+      ]);
+      const testError = new Error('index_not_found_exception');
+      let hookResult;
+      let hookMeta;
+
+      const client = new elasticsearch.Client();
+
+      const handler = lambdaHandler({
+        elasticsearch: { client },
+        index: 'index',
+        idField: 'PK',
+        cascade: testCascade,
+        reportBatchItemFailures: true,
+        afterHook: (event, context, result, meta) => {
+          hookResult = result;
+          hookMeta = meta;
+        }
+      });
+
+      sinon.stub(client, 'bulk').resolves();
+      const deleteByQueryStub = sinon.stub(client, 'deleteByQuery');
+      deleteByQueryStub.onFirstCall().rejects(testError);
+      deleteByQueryStub.onSecondCall().resolves({
+        body: { deleted: 0, failures: [{ cause: { type: 'version_conflict_engine_exception' } }] }
+      });
+
+      return lambdaTester(handler)
+        .event(testEvent)
+        .expectResult(result => {
+          expect(result).to.deep.equal({
+            batchItemFailures: [{ itemIdentifier: testEvent.Records[0].dynamodb.SequenceNumber }]
+          });
+          expect(hookResult.cascade).to.deep.equal({ errors: true, items: [null, null] });
+
+          const [indexError, auditError] = hookMeta.slice(1).map(entry => entry.error);
+          expect(indexError)
+            .to.be.an.instanceOf(errors.CascadeError)
+            .with.property('message', 'failed to delete documents from "orders,products": index_not_found_exception');
+          expect(indexError.details).to.equal(testError);
+          expect(auditError)
+            .to.be.an.instanceOf(errors.CascadeError)
+            .with.property('message', 'failed to delete documents from "audit": 1 documents failed to be deleted');
+          expect(auditError.query).to.deep.equal(
+            formatQuery({ 'entity.pk': 'STORE#1', 'entity.sk': 'STORE#1' })
+          );
+        });
+    });
+  });
 });
@@ -0,0 +1,230 @@
+const chai = require('chai');
+const childProcess = require('child_process');
+const DynamoDB = require('aws-sdk/clients/dynamodb');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const uuid = require('uuid');
+
+const formatEvent = require('./utils/ddb-stream-event-formatter');
+const lambdaHandler = require('../');
+
+const expect = chai.expect;
+
+const { inferMapping } = lambdaHandler;
+const errors = lambdaHandler.errors;
+
+describe('inferMapping', function() {
+  const testItem = {
+    id: { S: 'order-1' },
+    total: { N: '10.5' },
+    quantity: { N: '3' },
+    paid: { BOOL: true },
+    tags: { SS: ['new', 'urgent'] },
+    scores: { NS: ['1', '2'] },
+    signature: { B: Buffer.from('signature') },
+    note: { NULL: true },
+    customer: {
+      M: {
+        name: { S: 'John' },
+        address: { M: { zip: { N: '12345' } } }
+      }
+    },
+    lines: {
+      L: [
+        { M: { sku: { S: 'sku-1' }, price: { N: '5' } } },
+        { M: { sku: { S: 'sku-2' }, price: { N: '5.5' } } }
+      ]
+    }
+  };
+
+  it('should throw when options are invalid', function() {
+    return inferMapping({ items: [], records: [{ dynamodb: {} }], pickFields: 1 })
+      .then(() => expect.fail('should have been rejected'))
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(errors.ValidationError);
+      });
+  });
+
+  it('should infer mapping from DynamoDB type descriptors of items', async function() {
+    const mapping = await inferMapping({ items: [testItem] });
+
+    expect(mapping).to.deep.equal({
+      properties: {
+        id: { type: 'keyword' },
+        total: { type: 'double' },
+        quantity: { type: 'long' },
+        paid: { type: 'boolean' },
+        tags: { type: 'keyword' },
+        scores: { type: 'long' },
+        signature: { type: 'binary' },
+        customer: {
+          properties: {
+            name: { type: 'keyword' },
+            address: { properties: { zip: { type: 'long' } } }
+          }
+        },
+        lines: {
+          properties: {
+            sku: { type: 'keyword' },
+            price: { type: 'double' }
+          }
+        }
+      }
+    });
+  });
+
+  it('should merge mappings of all the samples', async function() {
+    const mapping = await inferMapping({
+      items: [
+        { id: { S: '1' }, total: { N: '1' } },
+        { id: { S: '2' }, total: { N: '1.5' }, paid: { BOOL: false } }
+      ]
+    });
+
+    expect(mapping).to.deep.equal({
+      properties: {
+        id: { type: 'keyword' },
+        total: { type: 'double' },
+        paid: { type: 'boolean' }
+      }
+    });
+  });
+
+  it('should throw when samples have conflicting types', function() {
+    return inferMapping({
+      items: [
+        { customer: { M: { name: { S: 'John' } } } },
+        { customer: { M: { name: { N: '1' } } } }
+      ]
+    })
+      .then(() => expect.fail('should have been rejected'))
+      .catch(err => {
+        expect(err)
+          .to.be.an.instanceOf(errors.MappingConflictError)
+          .with.property('message', '"customer.name" field has conflicting types: keyword, long');
+      });
+  });
+
+  it('should apply "pickFields" and "transformRecordHook" to stream records', async function() {
+    const testEvent = formatEvent([
+      { name: 'INSERT', keys: { id: 'order-1' }, new: { total: 10, secret: 'secret' } },
+      { name: 'REMOVE', keys: { id: 'order-2' }, old: { total: 10, secret: 'secret' } },
+      { name: 'MODIFY', keys: { id: 'order-3' }, new: { total: 10, skip: true } }
+    ]);
+    const hookCalls = [];
+
+    const mapping = await inferMapping({
+      records: testEvent.Records,
+      pickFields: ['id', 'total', 'skip'],
+      transformRecordHook: (doc, old) => {
+        hookCalls.push(old);
+        return doc.skip ? null : { ...doc, totalCents: doc.total * 100 };
+      }
+    });
+
+    expect(mapping).to.deep.equal({
+      properties: {
+        id: { type: 'keyword' },
+        total: { type: 'long' },
+        totalCents: { type: 'long' }
+      }
+    });
+    expect(hookCalls).to.deep.equal([
+      {},
+      { id: 'order-2', total: 10, secret: 'secret' },
+      { id: 'order-3' }
+    ]);
+  });
+
+  it('should apply "fieldMappings" and "conversion" to stream records', async function() {
+    const testEvent = formatEvent([
+      { name: 'INSERT', keys: { id: 'order-1' }, new: { total: 10, tags: ['new'] } }
+    ]);
+    testEvent.Records[0].dynamodb.NewImage.tags = { SS: ['new'] };
+
+    const mapping = await inferMapping({
+      records: testEvent.Records,
+      fieldMappings: {
+        rename: { total: 'amount' },
+        fromKeys: { orderId: 'id' }
+      },
+      conversion: { numbers: 'string', sets: 'array' }
+    });
+
+    expect(mapping).to.deep.equal({
+      properties: {
+        id: { type: 'keyword' },
+        orderId: { type: 'keyword' },
+        amount: { type: 'keyword' },
+        tags: { type: 'keyword' }
+      }
+    });
+  });
+
+  describe('cli', function() {
+    const cliPath = path.join(__dirname, '../bin/dynamo2es-mapping.js');
+    let configPath;
+    let filePath;
+
+    beforeEach(function() {
+      const id = uuid.v4();
+      configPath = path.join(os.tmpdir(), `d2es-config-${id}.js`);
+      filePath = path.join(os.tmpdir(), `d2es-items-${id}.json`);
+      fs.writeFileSync(configPath, `module.exports = {
+        elasticsearch: { client: { bulk: () => {} } },
+        conversion: { numbers: 'string' },
+        targets: [
+          { index: 'search' },
+          {
+            name: 'autocomplete',
+            index: 'autocomplete',
+            pickFields: ['name', 'age'],
+            fieldMappings: { rename: { name: 'title' } }
+          }
+        ]
+      };`);
+    });
+
+    afterEach(function() {
+      [configPath, filePath].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+    });
+
+    it('should print mapping inferred from Scan output', function() {
+      const items = [{ id: '1', name: 'John', age: 30 }].map(DynamoDB.Converter.marshall);
+      fs.writeFileSync(filePath, JSON.stringify({ Items: items, Count: 1 }));
+
+      const result = childProcess.spawnSync(process.execPath, [
+        cliPath,
+        '--config', configPath,
+        '--target', 'autocomplete',
+        '--file', filePath
+      ], { encoding: 'utf8' });
+
+      expect(result.status).to.equal(0);
+      expect(JSON.parse(result.stdout)).to.deep.equal({
+        properties: { title: { type: 'keyword' }, age: { type: 'keyword' } }
+      });
+    });
+
+    it('should fail when target is ambiguous', function() {
+      fs.writeFileSync(filePath, JSON.stringify(formatEvent()));
+
+      const result = childProcess.spawnSync(process.execPath, [
+        cliPath,
+        '--config', configPath,
+        '--file', filePath
+      ], { encoding: 'utf8' });
+
+      expect(result.status).to.equal(1);
+      expect(result.stderr).to.match(/--target has to match exactly one of the handler targets/);
+    });
+
+    it('should print usage when required arguments are missing', function() {
+      const result = childProcess.spawnSync(process.execPath, [cliPath], { encoding: 'utf8' });
+
+      expect(result.status).to.equal(1);
+      expect(result.stdout).to.match(/^Usage: dynamo2es-mapping/);
+    });
+  });
+});
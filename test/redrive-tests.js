@@ -0,0 +1,313 @@
+const chai = require('chai');
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const elasticsearch = require('elasticsearch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const uuid = require('uuid');
+
+const formatEvent = require('./utils/ddb-stream-event-formatter');
+const lambdaHandler = require('../');
+
+const expect = chai.expect;
+
+const { redrive } = lambdaHandler;
+const errors = lambdaHandler.errors;
+
+function createEntry(record, error, timestamp = new Date().toISOString()) {
+  return {
+    record,
+    action: null,
+    error,
+    attempts: 0,
+    timestamp
+  };
+}
+
+describe('redrive', function() {
+  const fieldNotFound = { name: 'FieldNotFoundError', message: '"foo" field not found in record' };
+  const mapperParsing = {
+    name: 'BulkItemError',
+    message: '"index" action failed with status 400: failed to parse',
+    status: 400,
+    type: 'mapper_parsing_exception',
+    reason: 'failed to parse'
+  };
+
+  it('should throw when options are invalid', function() {
+    return redrive({ dryRun: 'yes' })
+      .then(() => expect.fail('should have been rejected'))
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(errors.ValidationError)
+          .with.property('message', [
+            'child "handler" fails because ["handler" is required]',
+            'child "dryRun" fails because ["dryRun" must be a boolean]',
+            '"options" must contain at least one of [entries, source]'
+          ].join('. '));
+      });
+  });
+
+  it('should throw when entries are invalid', function() {
+    const client = new elasticsearch.Client();
+
+    return redrive({
+      handler: { elasticsearch: { client }, index: 'index' },
+      entries: [{ record: {} }]
+    })
+      .then(() => expect.fail('should have been rejected'))
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(errors.ValidationError);
+      });
+  });
+
+  it('should replay records through the handler ordered by sequence number', async function() {
+    const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+    const testEvent = formatEvent(testKeys.map(keys => ({ name: 'INSERT', keys })));
+    const testResult = {
+      took: 1,
+      errors: false,
+      items: testKeys.map(keys => ({ index: { _id: keys.id, status: 201 } }))
+    };
+
+    const client = new elasticsearch.Client();
+    const stub = sinon.stub(client, 'bulk').resolves(testResult);
+
+    const { entries, result } = await redrive({
+      handler: { elasticsearch: { client }, index: 'index' },
+      entries: [
+        createEntry(testEvent.Records[1], mapperParsing),
+        createEntry(testEvent.Records[0], fieldNotFound),
+        createEntry(testEvent.Records[1], mapperParsing)
+      ]
+    });
+
+    expect(entries).to.have.lengthOf(3);
+    expect(result).to.deep.equal(testResult);
+    expect(stub.calledOnce).to.be.true;
+    expect(stub.firstCall.args[0].body).to.deep.equal([
+      { index: { _index: 'index', _id: testKeys[0].id } },
+      testKeys[0],
+      { index: { _index: 'index', _id: testKeys[1].id } },
+      testKeys[1]
+    ]);
+  });
+
+  it('should read entries from the source', async function() {
+    const testEvent = formatEvent();
+    const source = {
+      read: sinon.stub().resolves([createEntry(testEvent.Records[0], fieldNotFound)])
+    };
+
+    const client = new elasticsearch.Client();
+    const stub = sinon.stub(client, 'bulk').resolves();
+
+    const { entries } = await redrive({
+      handler: { elasticsearch: { client }, index: 'index' },
+      source
+    });
+
+    expect(source.read.calledOnce).to.be.true;
+    expect(entries).to.have.lengthOf(1);
+    expect(stub.calledOnce).to.be.true;
+  });
+
+  it('should filter entries by error name, reason and time range', async function() {
+    const testEvent = formatEvent([{}, {}, {}, {}]);
+    const testEntries = [
+      createEntry(testEvent.Records[0], fieldNotFound, '2019-01-01T00:00:00.000Z'),
+      createEntry(testEvent.Records[1], fieldNotFound, '2019-02-01T00:00:00.000Z'),
+      createEntry(testEvent.Records[2], mapperParsing, '2019-02-01T00:00:00.000Z'),
+      createEntry(testEvent.Records[3], fieldNotFound, '2019-03-01T00:00:00.000Z')
+    ];
+
+    const client = new elasticsearch.Client();
+    const stub = sinon.stub(client, 'bulk').resolves();
+    const handler = { elasticsearch: { client }, index: 'index' };
+
+    const byName = await redrive({
+      handler,
+      entries: testEntries,
+      filter: {
+        errorName: 'FieldNotFoundError',
+        from: '2019-01-15T00:00:00.000Z',
+        to: new Date('2019-02-15T00:00:00.000Z')
+      },
+      dryRun: true
+    });
+    expect(byName.entries).to.deep.equal([testEntries[1]]);
+
+    const byReason = await redrive({
+      handler,
+      entries: testEntries,
+      filter: {
+        reason: ['mapper_parsing_exception']
+      },
+      dryRun: true
+    });
+    expect(byReason.entries).to.deep.equal([testEntries[2]]);
+
+    const none = await redrive({
+      handler,
+      entries: testEntries,
+      filter: {
+        reason: 'unknown'
+      }
+    });
+    expect(none).to.deep.equal({ entries: [], result: undefined });
+
+    expect(stub.called).to.be.false;
+  });
+
+  it('should not redact records of dead letter entries twice', async function() {
+    const hashKey = 'secret-key';
+    const hmac = value => crypto.createHmac('sha256', hashKey).update(value).digest('hex');
+    const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+    const testEvent = formatEvent(testKeys.map(keys => ({
+      name: 'INSERT',
+      keys,
+      new: { email: 'john@example.com' }
+    })));
+    const formatItem = (id, status) => ({
+      index: {
+        _id: id,
+        status,
+        ...(status === 400 ? { error: { type: mapperParsing.type, reason: 'failed' } } : {})
+      }
+    });
+    const entries = [];
+    const handlerOptions = {
+      elasticsearch: { client: new elasticsearch.Client() },
+      index: 'index',
+      redact: [{ field: 'email', strategy: 'hash', key: hashKey }],
+      deadLetter: {
+        send: async batch => {
+          entries.push(...batch);
+        }
+      }
+    };
+    const stub = sinon.stub(handlerOptions.elasticsearch.client, 'bulk');
+    stub.onFirstCall().resolves({ errors: true, items: [formatItem(testKeys[0].id, 400)] });
+    stub.onSecondCall().resolves({
+      errors: true,
+      items: [formatItem(testKeys[0].id, 400), formatItem(testKeys[1].id, 201)]
+    });
+
+    await new Promise((resolve, reject) => {
+      const handler = lambdaHandler(handlerOptions);
+      handler(
+        { Records: [testEvent.Records[0]] },
+        { awsRequestId: uuid.v4() },
+        err => (err ? reject(err) : resolve())
+      );
+    });
+
+    expect(entries).to.have.lengthOf(1);
+    expect(entries[0].redacted).to.be.true;
+
+    // Entries without the flag are redacted by re-drive
+    await redrive({
+      handler: handlerOptions,
+      entries: [entries.shift(), createEntry(testEvent.Records[1], fieldNotFound)]
+    });
+
+    expect(stub.secondCall.args[0].body).to.deep.equal([
+      { index: { _index: 'index', _id: testKeys[0].id } },
+      { ...testKeys[0], email: hmac('john@example.com') },
+      { index: { _index: 'index', _id: testKeys[1].id } },
+      { ...testKeys[1], email: hmac('john@example.com') }
+    ]);
+    expect(entries).to.have.lengthOf(1);
+    expect(entries[0].redacted).to.be.true;
+    expect(entries[0].record.dynamodb.NewImage.email).to.deep.equal({
+      S: hmac('john@example.com')
+    });
+  });
+
+  it('should return bulk actions instead of sending them in dry run mode', async function() {
+    const testKeys = { id: uuid.v4() };
+    const testEvent = formatEvent({ name: 'REMOVE', keys: testKeys });
+    const sink = { send: sinon.stub().resolves() };
+
+    const client = new elasticsearch.Client();
+    const stub = sinon.stub(client, 'bulk').resolves();
+    const deleteByQueryStub = sinon.stub(client, 'deleteByQuery').resolves();
+
+    const { actions } = await redrive({
+      handler: {
+        elasticsearch: { client },
+        index: 'index',
+        deadLetter: sink,
+        cascade: [{ index: 'dependents', terms: { parentId: 'id' } }]
+      },
+      entries: [createEntry(testEvent.Records[0], mapperParsing)],
+      dryRun: true
+    });
+
+    expect(actions).to.deep.equal([
+      { delete: { _index: 'index', _id: testKeys.id } }
+    ]);
+    expect(stub.called).to.be.false;
+    expect(deleteByQueryStub.called).to.be.false;
+    expect(sink.send.called).to.be.false;
+  });
+
+  it('should return empty list of actions in dry run mode when no entries match', async function() {
+    const client = new elasticsearch.Client();
+
+    const result = await redrive({
+      handler: { elasticsearch: { client }, index: 'index' },
+      entries: [],
+      dryRun: true
+    });
+
+    expect(result).to.deep.equal({ entries: [], actions: [] });
+  });
+
+  describe('cli', function() {
+    const cliPath = path.join(__dirname, '../bin/dynamo2es-redrive.js');
+    let configPath;
+    let filePath;
+
+    beforeEach(function() {
+      const id = uuid.v4();
+      configPath = path.join(os.tmpdir(), `d2es-config-${id}.js`);
+      filePath = path.join(os.tmpdir(), `d2es-dlq-${id}.jsonl`);
+      fs.writeFileSync(configPath, "module.exports = () => ({ elasticsearch: { client: { bulk: () => {} } }, index: 'index' });");
+    });
+
+    afterEach(function() {
+      [configPath, filePath].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+    });
+
+    it('should print bulk actions in dry run mode', function() {
+      const testKeys = [{ id: uuid.v4() }, { id: uuid.v4() }];
+      const testEvent = formatEvent(testKeys.map(keys => ({ name: 'REMOVE', keys })));
+      const testEntries = [
+        createEntry(testEvent.Records[0], fieldNotFound),
+        createEntry(testEvent.Records[1], mapperParsing)
+      ];
+      fs.writeFileSync(filePath, testEntries.map(entry => JSON.stringify(entry)).join('\n'));
+
+      const result = childProcess.spawnSync(process.execPath, [
+        cliPath,
+        '--config', configPath,
+        '--file', filePath,
+        '--error-name', 'BulkItemError',
+        '--dry-run'
+      ], { encoding: 'utf8' });
+
+      expect(result.status).to.equal(0);
+      expect(result.stderr).to.equal('1 entries matched\n');
+      expect(result.stdout).to.equal(`${JSON.stringify({ delete: { _index: 'index', _id: testKeys[1].id } })}\n`);
+    });
+
+    it('should print usage when required arguments are missing', function() {
+      const result = childProcess.spawnSync(process.execPath, [cliPath], { encoding: 'utf8' });
+
+      expect(result.status).to.equal(1);
+      expect(result.stdout).to.match(/^Usage: dynamo2es-redrive/);
+    });
+  });
+});
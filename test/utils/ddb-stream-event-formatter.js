@@ -1,6 +1,13 @@
 const DynamoDB = require('aws-sdk/clients/dynamodb');
 const uuid = require('uuid');
 
+let sequenceNumber = 0;
+
+function nextSequenceNumber() {
+  sequenceNumber++;
+  return `1${String(sequenceNumber).padStart(20, '0')}`;
+}
+
 module.exports = function(records) {
   if (!records) {
     records = [{}]; // eslint-disable-line no-param-reassign
@@ -20,10 +27,15 @@ module.exports = function(records) {
       return {
         eventName,
         eventSource: 'aws:dynamodb',
+        ...(record.ttl
+          ? { userIdentity: { type: 'Service', principalId: 'dynamodb.amazonaws.com' } }
+          : {}),
         dynamodb: {
+          ...(record.creationTime ? { ApproximateCreationDateTime: record.creationTime } : {}),
           Keys: DynamoDB.Converter.marshall(keys),
           NewImage: newImage ? DynamoDB.Converter.marshall(newImage) : undefined,
           OldImage: oldImage ? DynamoDB.Converter.marshall(oldImage) : undefined,
+          SequenceNumber: record.sequenceNumber || nextSequenceNumber(),
           StreamViewType: 'NEW_AND_OLD_IMAGES'
         }
       };